@@ -1,6 +1,7 @@
 import axios from "axios";
 import { loadConfig } from "./config.js";
 import logger from "./logger.js";
+import { NodePool } from "./nodePool.js";
 
 const SENSITIVE_PATTERNS = [
   /api[-_]?key/i,
@@ -30,14 +31,23 @@ function redactSensitiveData(data) {
   return redacted;
 }
 
+// Timeouts, connection failures and server errors move a request to another node
+const isNodeFailure = (error) =>
+  !axios.isCancel(error) && (!error.response || error.response.status >= 500);
+
 /**
- * Enhanced API Client with monitoring, retries, and circuit breaking
+ * Enhanced API Client with monitoring, retries, and circuit breaking.
+ * Requests go to the fastest healthy node of config.baseUrls (or
+ * config.baseUrl) and fail over to the next node on node failures.
+ * @param {object} overrides - Config values to use instead of loadConfig()
  */
-class ApiClient {
-  constructor() {
-    this.config = loadConfig();
+export class ApiClient {
+  constructor(overrides = {}) {
+    this.config = { ...loadConfig(), ...overrides };
+    this.nodePool = new NodePool(
+      this.config.baseUrls?.length ? this.config.baseUrls : [this.config.baseUrl],
+    );
     this.axiosInstance = axios.create({
-      baseURL: this.config.baseUrl,
       timeout: this.config.timeout,
       headers: {
         "X-Source": "presearch-mcp-server",
@@ -61,6 +71,14 @@ class ApiClient {
           config.headers["Authorization"] = `Bearer ${currentConfig.apiKey}`;
         }
 
+        // Route to the best node not yet tried for this request, unless the
+        // caller pinned one
+        if (!config.__pinnedNode) {
+          const node = this.nodePool.pick(config.__triedNodes) || this.nodePool.pick();
+          config.baseURL = node.url;
+        }
+        config.__startedAt = Date.now();
+
         logger.debug(`API Request: ${config.method?.toUpperCase()} ${config.url}`, {
           params: redactSensitiveData(config.params),
         });
@@ -76,6 +94,7 @@ class ApiClient {
     // Response interceptor for rate limiting and logging
     this.axiosInstance.interceptors.response.use(
       (response) => {
+        this.nodePool.recordSuccess(response.config.baseURL, Date.now() - response.config.__startedAt);
         this.updateRateLimit(response.headers);
         logger.debug(`API Response: ${response.status}`, {
           url: response.config.url,
@@ -84,6 +103,12 @@ class ApiClient {
         return response;
       },
       async (error) => {
+        // Cancelled by the caller (AbortSignal), nothing to log or retry
+        if (axios.isCancel(error)) {
+          logger.debug("API Request cancelled", { url: error.config?.url });
+          return Promise.reject(error);
+        }
+
         this.updateRateLimit(error.response?.headers);
 
         if (error.response) {
@@ -109,8 +134,27 @@ class ApiClient {
           logger.error("Network Error", { error: error.message });
         }
 
-        // Implement simple exponential backoff for 429 and 5xx
         const config = error.config;
+
+        // Fail over to the next node before backing off on the same one
+        if (config?.baseURL && isNodeFailure(error)) {
+          this.nodePool.recordFailure(config.baseURL, error);
+          const triedNodes = [...(config.__triedNodes || []), config.baseURL];
+          const nextNode = config.__pinnedNode ? null : this.nodePool.pick(triedNodes);
+          if (nextNode && !this.chargeRetry(config)) return Promise.reject(error);
+          if (nextNode) {
+            logger.warn(`Node ${config.baseURL} failed, failing over to ${nextNode.url}`, {
+              error: error.message,
+              status: error.response?.status,
+            });
+            config.__triedNodes = triedNodes;
+            return this.axiosInstance(config);
+          }
+          // Every node failed, the backoff retry may start over with the best one
+          config.__triedNodes = [];
+        }
+
+        // Implement simple exponential backoff for 429 and 5xx
         if (
           config &&
           !config.__isRetryRequest &&
@@ -119,13 +163,24 @@ class ApiClient {
           config.__isRetryRequest = true;
           config.__retryCount = config.__retryCount || 0;
 
-          if (config.__retryCount < this.config.retries) {
+          if (config.__retryCount < this.config.retries && this.chargeRetry(config)) {
             config.__retryCount++;
             const delay = Math.pow(2, config.__retryCount) * 1000;
             logger.info(
               `Retrying request (${config.__retryCount}/${this.config.retries}) in ${delay}ms...`,
             );
-            await new Promise((resolve) => setTimeout(resolve, delay));
+            await new Promise((resolve, reject) => {
+              const timer = setTimeout(resolve, delay);
+              // Stop waiting if the caller cancels during the backoff
+              config.signal?.addEventListener?.(
+                "abort",
+                () => {
+                  clearTimeout(timer);
+                  reject(error);
+                },
+                { once: true },
+              );
+            });
             return this.axiosInstance(config);
           }
         }
@@ -135,6 +190,17 @@ class ApiClient {
     );
   }
 
+  /**
+   * Charge another attempt of a request to the budget its caller passed as
+   * `__requestBudget` (see PresearchService.search)
+   * @returns {boolean} false once the budget is spent and the failure stands
+   */
+  chargeRetry(config) {
+    if (!config.__requestBudget || config.__requestBudget.tryApiCall()) return true;
+    logger.warn("API call budget spent, not retrying the request", { url: config.url });
+    return false;
+  }
+
   /**
    * Update rate limit tracking from response headers
    */
@@ -166,12 +232,56 @@ class ApiClient {
 
   /**
    * Make a GET request
+   * Pass `signal` (AbortSignal) in config to cancel the request and its retries
    */
   async get(url, config = {}) {
     this.checkRateLimit();
     return this.axiosInstance.get(url, config);
   }
 
+  /**
+   * Send the same GET request to every healthy node in parallel, for
+   * federated searches across regions. Failures of single nodes are
+   * logged and skipped.
+   * @returns {Promise<{node: string, response: object}[]>} Responses, fastest node first
+   * @throws The first error when no node answered
+   */
+  async getFromAllNodes(url, config = {}) {
+    this.checkRateLimit();
+    const nodes = this.nodePool.healthyNodes();
+    const targets = nodes.length > 0 ? nodes : this.nodePool.nodes;
+
+    const settled = await Promise.allSettled(
+      targets.map((node) =>
+        this.axiosInstance.get(url, { ...config, baseURL: node.url, __pinnedNode: true }),
+      ),
+    );
+
+    const responses = [];
+    settled.forEach((outcome, index) => {
+      if (outcome.status === "fulfilled") {
+        responses.push({ node: targets[index].url, response: outcome.value });
+      } else {
+        logger.warn("Federated request failed on node", {
+          node: targets[index].url,
+          error: outcome.reason?.message,
+        });
+      }
+    });
+
+    if (responses.length === 0) {
+      throw settled[0].reason;
+    }
+    return responses;
+  }
+
+  /**
+   * Latency and health of the configured nodes
+   */
+  getNodeStats() {
+    return this.nodePool.getStats();
+  }
+
   /**
    * Make a POST request
    */
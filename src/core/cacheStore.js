@@ -0,0 +1,227 @@
+/**
+ * Cache stores
+ * EnhancedCache keeps its entries in memory and hands every change to a
+ * store. The memory store keeps nothing beyond the process; the file store
+ * appends changes to a log on disk and replays it at startup, so a fresh
+ * server process starts with the cache of the previous one.
+ *
+ * A store implements:
+ *   load()            -> [key, entry][] saved earlier, oldest first
+ *   set(key, entry)   -> persist an entry ({ data, timestamp, expiresAt, size })
+ *   delete(key)       -> forget an entry
+ *   clear()           -> forget everything
+ * The methods return at once; a store that writes somewhere does so in the
+ * background.
+ */
+
+import fs from "fs";
+import path from "path";
+import os from "os";
+import logger from "./logger.js";
+
+export const CACHE_STORES = ["memory", "file"];
+
+// The log is rewritten once it holds this many times more records than live entries
+const COMPACTION_RATIO = 2;
+const MIN_RECORDS_BEFORE_COMPACTION = 100;
+const WRITE_CHUNK_CHARS = 64 * 1024;
+
+export const DEFAULT_CACHE_DIR = path.join(os.homedir(), ".cache", "presearch-mcp");
+
+export class MemoryCacheStore {
+  load() {
+    return [];
+  }
+
+  set() {}
+
+  delete() {}
+
+  clear() {}
+}
+
+/**
+ * Append-only log of cache changes, one JSON record per line:
+ * `{"key": ..., "entry": {...}}` to set, `{"key": ...}` to delete.
+ * Changes are buffered and written asynchronously through one serialized
+ * queue, compaction included, so cache writes never block a search; the log
+ * is only read synchronously once, at startup. Disk errors are logged and
+ * turn the store into a memory store, a cache must never fail a search.
+ * Processes sharing a file may lose each other's latest entries on
+ * compaction, which only costs cache hits.
+ */
+export class FileCacheStore {
+  /**
+   * @param {string} file - Path of the log file, created on first write
+   */
+  constructor(file) {
+    this.file = file;
+    this.entries = new Map(); // Live entries, to write out on compaction
+    this.records = 0; // Lines in the log
+    this.pending = []; // Lines not yet appended
+    this.queue = Promise.resolve(); // Serializes every write to the file
+    this.flushQueued = false;
+    this.compactionQueued = false;
+    this.tornTail = false;
+    this.disabled = false;
+  }
+
+  load() {
+    let text = "";
+    try {
+      text = fs.readFileSync(this.file, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") this.fail("read", error);
+      return [];
+    }
+
+    // A last line cut short must not swallow the next appended record
+    this.tornTail = text.length > 0 && !text.endsWith("\n");
+    const now = Date.now();
+    for (const line of text.split("\n")) {
+      if (!line) continue;
+      this.records++;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue; // A write cut short by a crash
+      }
+      this.entries.delete(record.key);
+      if (record.entry && record.entry.expiresAt > now) {
+        this.entries.set(record.key, record.entry);
+      }
+    }
+
+    this.compactIfNeeded();
+    return [...this.entries];
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.append({ key, entry });
+  }
+
+  delete(key) {
+    if (!this.entries.delete(key)) return;
+    this.append({ key });
+  }
+
+  clear() {
+    this.entries.clear();
+    this.pending = [];
+    this.enqueue(() => this.replace([]));
+  }
+
+  /**
+   * Resolves once every change so far is on disk, including the
+   * compaction those writes may have queued
+   */
+  async flush() {
+    let queue;
+    do {
+      queue = this.queue;
+      await queue;
+    } while (queue !== this.queue);
+  }
+
+  append(record) {
+    if (this.disabled) return;
+    this.pending.push(`${JSON.stringify(record)}\n`);
+    if (!this.flushQueued) {
+      this.flushQueued = true;
+      this.enqueue(() => this.writePending());
+    }
+  }
+
+  enqueue(task) {
+    this.queue = this.queue.then(async () => {
+      if (this.disabled) return;
+      try {
+        await task();
+      } catch (error) {
+        this.fail("write", error);
+      }
+    });
+  }
+
+  async writePending() {
+    this.flushQueued = false;
+    const lines = this.pending;
+    this.pending = [];
+    if (lines.length === 0) return;
+
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(this.file, `${this.tornTail ? "\n" : ""}${lines.join("")}`);
+    this.tornTail = false;
+    this.records += lines.length;
+    this.compactIfNeeded();
+  }
+
+  compactIfNeeded() {
+    if (this.compactionQueued) return;
+    if (this.records < MIN_RECORDS_BEFORE_COMPACTION) return;
+    if (this.records <= this.entries.size * COMPACTION_RATIO) return;
+
+    this.compactionQueued = true;
+    this.enqueue(async () => {
+      this.compactionQueued = false;
+      // The snapshot holds every buffered change
+      this.pending = [];
+      const count = await this.replace([...this.entries]);
+      logger.debug("Cache log compacted", { file: this.file, entries: count });
+    });
+  }
+
+  /**
+   * Replace the log with the given entries through a temporary file, so a
+   * crash never leaves it half written. Written in chunks, yielding to
+   * requests in between.
+   * @returns {Promise<number>} Entries written
+   */
+  async replace(entries) {
+    const temp = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const handle = await fs.promises.open(temp, "w");
+    try {
+      let chunk = "";
+      for (const [key, entry] of entries) {
+        chunk += `${JSON.stringify({ key, entry })}\n`;
+        if (chunk.length >= WRITE_CHUNK_CHARS) {
+          await handle.write(chunk);
+          chunk = "";
+        }
+      }
+      if (chunk) await handle.write(chunk);
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(temp, this.file);
+    this.tornTail = false;
+    this.records = entries.length;
+    return entries.length;
+  }
+
+  fail(operation, error) {
+    this.disabled = true;
+    this.pending = [];
+    logger.warn("Cache file unusable, caching in memory only", {
+      file: this.file,
+      operation,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Create the store selected in the cache config
+ * @param {object} cacheConfig - `config.cache`
+ * @param {string} name - File name within the cache directory
+ */
+export function createCacheStore(cacheConfig, name) {
+  if (cacheConfig.store === "file") {
+    return new FileCacheStore(path.join(cacheConfig.dir || DEFAULT_CACHE_DIR, `${name}.jsonl`));
+  }
+  return new MemoryCacheStore();
+}
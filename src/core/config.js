@@ -1,5 +1,7 @@
 import dotenv from "dotenv";
 import { z } from "zod";
+import { CACHE_STORES } from "./cacheStore.js";
+import logger from "./logger.js";
 
 // Load environment variables
 dotenv.config();
@@ -11,14 +13,32 @@ const ConfigSchema = z.object({
   apiKey: z.string().optional(),
   mcpApiKey: z.string().optional(),
   baseUrl: z.string().default("https://na-us-1.presearch.com"),
+  // Several nodes enable latency-based routing and failover; baseUrl is used when empty
+  baseUrls: z.array(z.string().url()).default([]),
   timeout: z.coerce.number().default(10000),
   retries: z.coerce.number().default(3),
   port: z.coerce.number().default(3002),
   logLevel: z.enum(["debug", "info", "warn", "error"]).default("info"),
   cache: z.object({
     enabled: z.boolean().default(true),
-    ttl: z.number().default(300000), // 5 minutes
-    maxSize: z.number().default(1000),
+    ttl: z.coerce.number().nonnegative().default(300000), // 5 minutes, 0 turns the search cache off
+    maxSize: z.coerce.number().int().positive().default(1000),
+    maxBytes: z.coerce.number().positive().default(50 * 1024 * 1024), // Approximate payload size
+    // Expired entries are served this much longer while they are refreshed, off unless set
+    staleWindow: z.coerce.number().nonnegative().default(0),
+    // "file" keeps the cache in `dir` across restarts
+    store: z.enum(CACHE_STORES).default("memory"),
+    dir: z.string().optional(),
+  }).default({}),
+  scrapeCache: z.object({
+    ttl: z.coerce.number().nonnegative().default(3600000), // 1 hour
+    // Own limits, on top of the search cache's
+    maxSize: z.coerce.number().int().positive().default(200),
+    maxBytes: z.coerce.number().positive().default(20 * 1024 * 1024),
+    // Per-domain TTLs in ms, subdomains included; 0 turns caching off for a domain
+    domainTtls: z.record(z.coerce.number().nonnegative()).default({}),
+    // Expired pages with an ETag or Last-Modified are revalidated instead of re-scraped this long
+    revalidateWindow: z.coerce.number().nonnegative().default(7 * 24 * 60 * 60 * 1000),
   }).default({}),
   rateLimit: z.object({
     maxRequests: z.number().default(60),
@@ -36,6 +56,86 @@ const ConfigSchema = z.object({
   }).default({}),
 });
 
+/**
+ * Read a boolean environment variable, undefined when unset so the
+ * schema default applies
+ */
+const envFlag = (value) =>
+  value === undefined || value === "" ? undefined : !["false", "0", "no", "off"].includes(value.toLowerCase());
+
+/**
+ * Parse "domain=seconds" pairs, e.g. "docs.python.org=86400,news.ycombinator.com=60",
+ * into TTLs in milliseconds. Malformed pairs are skipped.
+ */
+const parseDomainTtls = (value) => {
+  if (!value) return undefined;
+  const ttls = {};
+  for (const pair of value.split(",")) {
+    const [domain, seconds] = pair.split("=").map((part) => part?.trim());
+    if (domain && seconds && Number.isFinite(Number(seconds))) {
+      ttls[domain.toLowerCase()] = Number(seconds) * 1000;
+    }
+  }
+  return ttls;
+};
+
+/**
+ * Parse the comma-separated node URLs of PRESEARCH_BASE_URLS. Bare hosts
+ * get https://, entries that are still not URLs are skipped with a warning;
+ * with none left baseUrl is used.
+ */
+const parseBaseUrls = (value) => {
+  if (!value) return undefined;
+  const urls = [];
+  for (const entry of value.split(",").map((part) => part.trim()).filter(Boolean)) {
+    const url = /^[a-z][a-z\d+.-]*:\/\//i.test(entry) ? entry : `https://${entry}`;
+    if (z.string().url().safeParse(url).success && /^https?:/i.test(url)) {
+      urls.push(url);
+    } else {
+      logger.warn("Invalid node URL in PRESEARCH_BASE_URLS, skipping it", { url: entry });
+    }
+  }
+  return urls;
+};
+
+/**
+ * Validate one numeric environment variable on its own, so a bad value only
+ * costs its own setting: it falls back to the schema default with a warning
+ * instead of invalidating the whole config.
+ * @param {string} name - Environment variable name
+ * @param {z.ZodNumber} schema - Accepted values, in the unit of the variable
+ * @param {number} [scale=1] - Factor from the variable's unit to the config's
+ * @returns {number|undefined} undefined when unset or invalid
+ */
+const envNumber = (name, schema, scale = 1) => {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === "") return undefined;
+  const parsed = schema.safeParse(Number(value));
+  if (!parsed.success) {
+    logger.warn("Invalid configuration value, using the default", { setting: name, value });
+    return undefined;
+  }
+  return parsed.data * scale;
+};
+
+/**
+ * Read an environment variable restricted to a list of values, with the
+ * same fallback as envNumber
+ */
+const envChoice = (name, choices) => {
+  const value = process.env[name];
+  if (!value) return undefined;
+  if (!choices.includes(value)) {
+    logger.warn("Invalid configuration value, using the default", { setting: name, value, choices });
+    return undefined;
+  }
+  return value;
+};
+
+const envCount = (name) => envNumber(name, z.number().int().positive());
+const envAmount = (name, scale) => envNumber(name, z.number().positive(), scale);
+const envDuration = (name, scale) => envNumber(name, z.number().nonnegative(), scale);
+
 /**
  * Load and validate configuration
  */
@@ -44,19 +144,42 @@ export function loadConfig() {
     apiKey: process.env.PRESEARCH_API_KEY,
     mcpApiKey: process.env.MCP_API_KEY,
     baseUrl: process.env.PRESEARCH_BASE_URL,
+    baseUrls: parseBaseUrls(process.env.PRESEARCH_BASE_URLS),
     timeout: process.env.PRESEARCH_TIMEOUT,
     logLevel: process.env.LOG_LEVEL,
     port: process.env.PORT,
+    // CACHE_TTL is in seconds (as in smithery.yaml), the cache works in milliseconds
+    cache: {
+      enabled: envFlag(process.env.CACHE_ENABLED),
+      ttl: envDuration("CACHE_TTL", 1000),
+      staleWindow: envDuration("CACHE_STALE_TTL", 1000),
+      maxSize: envCount("CACHE_MAX_KEYS"),
+      maxBytes: envAmount("CACHE_MAX_MB", 1024 * 1024),
+      store: envChoice("CACHE_STORE", CACHE_STORES),
+      dir: process.env.CACHE_DIR || undefined,
+    },
+    scrapeCache: {
+      ttl: envDuration("SCRAPE_CACHE_TTL", 1000),
+      maxSize: envCount("SCRAPE_CACHE_MAX_KEYS"),
+      maxBytes: envAmount("SCRAPE_CACHE_MAX_MB", 1024 * 1024),
+      domainTtls: parseDomainTtls(process.env.SCRAPE_CACHE_DOMAIN_TTLS),
+    },
     // Nested configs could be loaded from JSON if needed, but defaults work for now
   };
 
-  try {
-    return ConfigSchema.parse(rawConfig);
-  } catch (error) {
-    console.error("❌ Invalid configuration:", error.errors);
-    // Return defaults with warning if validation fails
-    return ConfigSchema.parse({});
+  const result = ConfigSchema.safeParse(rawConfig);
+  if (result.success) return result.data;
+
+  // Only the invalid settings fall back to their defaults, the API key and
+  // everything else that is valid is kept
+  for (const issue of result.error.errors) {
+    logger.warn("Invalid configuration value, using the default", {
+      setting: issue.path.join("."),
+      error: issue.message,
+    });
+    delete rawConfig[issue.path[0]];
   }
+  return ConfigSchema.parse(rawConfig);
 }
 
 export const config = loadConfig();
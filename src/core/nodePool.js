@@ -0,0 +1,108 @@
+/**
+ * Presearch node pool
+ * Tracks the latency and health of every configured API node so the
+ * client can send each request to the fastest healthy node and fail over
+ * to the next one on timeouts and server errors.
+ */
+
+const LATENCY_SMOOTHING = 0.3; // Weight of the newest sample in the moving average
+const BASE_COOLDOWN_MS = 30000; // A failed node is skipped this long, doubled per consecutive failure
+const MAX_COOLDOWN_MS = 5 * 60 * 1000;
+
+export class NodePool {
+  /**
+   * @param {string[]} urls - Node base URLs in order of preference
+   */
+  constructor(urls) {
+    this.nodes = [...new Set(urls.map((url) => url.replace(/\/+$/, "")))].map((url, index) => ({
+      url,
+      index,
+      latencyMs: null,
+      requests: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      unhealthyUntil: 0,
+      lastError: null,
+    }));
+  }
+
+  get size() {
+    return this.nodes.length;
+  }
+
+  isHealthy(node, now = Date.now()) {
+    return node.unhealthyUntil <= now;
+  }
+
+  /**
+   * Pick the node for the next request: healthy nodes first, by measured
+   * latency. Nodes without a measurement yet count as fastest so every
+   * node gets measured; ties keep the configured order.
+   * @param {string[]} exclude - URLs already tried for this request
+   * @returns {object|null} Node, or null when every node was excluded
+   */
+  pick(exclude = []) {
+    const now = Date.now();
+    const candidates = this.nodes.filter((node) => !exclude.includes(node.url));
+    if (candidates.length === 0) return null;
+
+    const healthy = candidates.filter((node) => this.isHealthy(node, now));
+    if (healthy.length === 0) {
+      // Everything is cooling down, try the one that recovers first
+      return candidates.reduce((best, node) => (node.unhealthyUntil < best.unhealthyUntil ? node : best));
+    }
+    return healthy.reduce((best, node) =>
+      (node.latencyMs ?? 0) < (best.latencyMs ?? 0) ? node : best,
+    );
+  }
+
+  get(url) {
+    return this.nodes.find((node) => node.url === url);
+  }
+
+  recordSuccess(url, latencyMs) {
+    const node = this.get(url);
+    if (!node) return;
+    node.requests++;
+    node.consecutiveFailures = 0;
+    node.unhealthyUntil = 0;
+    node.latencyMs =
+      node.latencyMs === null
+        ? latencyMs
+        : Math.round(node.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+  }
+
+  recordFailure(url, error) {
+    const node = this.get(url);
+    if (!node) return;
+    node.requests++;
+    node.failures++;
+    node.consecutiveFailures++;
+    node.lastError = error?.message || String(error);
+    node.unhealthyUntil =
+      Date.now() + Math.min(BASE_COOLDOWN_MS * 2 ** (node.consecutiveFailures - 1), MAX_COOLDOWN_MS);
+  }
+
+  /**
+   * Healthy nodes, fastest first
+   */
+  healthyNodes() {
+    const now = Date.now();
+    return this.nodes
+      .filter((node) => this.isHealthy(node, now))
+      .sort((a, b) => (a.latencyMs ?? 0) - (b.latencyMs ?? 0) || a.index - b.index);
+  }
+
+  getStats() {
+    const now = Date.now();
+    return this.nodes.map((node) => ({
+      url: node.url,
+      healthy: this.isHealthy(node, now),
+      latencyMs: node.latencyMs,
+      requests: node.requests,
+      failures: node.failures,
+      ...(node.lastError && { lastError: node.lastError }),
+      ...(!this.isHealthy(node, now) && { retryAt: new Date(node.unhealthyUntil).toISOString() }),
+    }));
+  }
+}
@@ -1,5 +1,12 @@
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
-import { ListToolsRequestSchema, ListPromptsRequestSchema, GetPromptRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
+} from "@modelcontextprotocol/sdk/types.js";
 import { tools } from "./tools/index.js";
 import { prompts } from "./prompts/index.js";
 import { registerResources } from "./resources/index.js";
@@ -48,6 +55,54 @@ export const createMcpServer = async (globalConfig, requestConfig = {}) => {
     logger.debug("Listing tools for client", { count: toolList.length });
     return { tools: toolList };
   });
+
+  // Handle CallToolRequest manually: McpServer.tool() only understands Zod raw
+  // shapes, so our JSON Schema and z.object() tools would not receive their arguments
+  server.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    try {
+      const tool = tools.find((t) => t.name === request.params.name);
+
+      if (!tool) {
+        throw new McpError(ErrorCode.InvalidParams, `Tool not found: ${request.params.name}`);
+      }
+
+      let args = request.params.arguments || {};
+      if (tool.inputSchema?._def) {
+        const parsed = tool.inputSchema.safeParse(args);
+        if (!parsed.success) {
+          return {
+            isError: true,
+            content: [
+              {
+                type: "text",
+                text: `Invalid arguments for ${tool.name}: ${parsed.error.errors
+                  .map((e) => `${e.path.join(".") || "input"}: ${e.message}`)
+                  .join("; ")}`,
+              },
+            ],
+          };
+        }
+        args = parsed.data;
+      }
+
+      // Pass the effective configuration (including API key) and the low-level
+      // server handle so tools can make client requests such as sampling
+      return await tool.execute(args, {
+        apiKey: effectiveConfig.apiKey,
+        server: server.server,
+        extra,
+      });
+    } catch (error) {
+      if (error instanceof McpError) throw error;
+
+      // A failing tool is a result the agent has to see, not a protocol error
+      logger.warn("Tool call failed", { tool: request.params.name, error: error.message });
+      return {
+        content: [{ type: "text", text: error.message }],
+        isError: true,
+      };
+    }
+  });
   
   // Handle ListPromptsRequest manually to support Smithery metadata
   server.server.setRequestHandler(ListPromptsRequestSchema, async () => {
@@ -1,5 +1,7 @@
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { apiClient } from "../core/apiClient.js";
 import { loadConfig } from "../core/config.js";
+import { researchJobs } from "../services/researchJobs.js";
 
 export function registerResources(server) {
   // Config Resource
@@ -91,4 +93,38 @@ export function registerResources(server) {
       };
     },
   );
+
+  // Research Job Resources
+  server.resource(
+    "research-job",
+    new ResourceTemplate("presearch://research/{jobId}", {
+      list: async () => ({
+        resources: researchJobs.list().map((job) => ({
+          uri: job.resourceUri,
+          name: `Research: ${job.topic}`,
+          description: `Deep research job (${job.status})`,
+          mimeType: "application/json",
+        })),
+      }),
+    }),
+    {
+      description:
+        "Status and report of a background deep research job started with presearch_research_start. Holds the partial report while the job runs and the final report once it completes.",
+    },
+    async (uri, { jobId }) => {
+      const result = researchJobs.getResult(jobId);
+      if (!result) {
+        throw new Error(`Research job not found: ${jobId}`);
+      }
+      return {
+        contents: [
+          {
+            uri: uri.href,
+            text: JSON.stringify(result, null, 2),
+            mimeType: "application/json",
+          },
+        ],
+      };
+    },
+  );
 }
@@ -0,0 +1,167 @@
+import logger from "../core/logger.js";
+import { getConfig } from "../core/config.js";
+import { contentAnalyzer } from "./contentAnalysisService.js";
+import { RESEARCH_FOCUS_MODES } from "./researchFocus.js";
+import { TIME_RANGE_DAYS } from "./resultProcessor.js";
+
+const VAGUE_TOPIC_TERMS = 3; // Topics with this many significant words or fewer get clarified
+const TIME_REFERENCE = /\b(19|20)\d{2}\b|\b(latest|recent|current|today|history|historical|past|last|since|until|decade|century|year|month|week)\b/i;
+// Relative periods such as "last 12 months", "past week" or "this year"
+const RELATIVE_PERIOD = /^(?:(?:in|within|over|during)\s+)?(?:the\s+)?(?:last|past|previous|recent|this)?\s*(\d+|a|one)?\s*(hour|day|week|month|year)s?$/;
+const PERIOD_UNIT_DAYS = { hour: 1 / 24, day: 1, week: 7, month: 30, year: 365 };
+
+/**
+ * Clarification Service
+ * Asks the user clarifying questions through MCP elicitation (form mode)
+ * before a broad research session spends credits. Only fields the caller
+ * has not already supplied are asked, and the step is skipped entirely
+ * when the client does not support elicitation.
+ */
+export class ClarificationService {
+  /**
+   * Check whether the connected client advertises form elicitation
+   * @param {import("@modelcontextprotocol/sdk/server/index.js").Server} server
+   */
+  isAvailable(server) {
+    try {
+      return Boolean(server?.getClientCapabilities?.()?.elicitation?.form);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * A topic is vague when it has only a handful of significant words
+   */
+  isVague(topic) {
+    const terms = (topic || "")
+      .toLowerCase()
+      .match(/\b[\w-]+\b/g)
+      ?.filter((word) => word.length > 1 && !contentAnalyzer.termStopwords.has(word)) || [];
+    return terms.length <= VAGUE_TOPIC_TERMS;
+  }
+
+  /**
+   * Build the form for the questions that are still open
+   * @returns {object} Requested schema for elicitation/create
+   */
+  buildQuestions(topic, { location, focus } = {}) {
+    const properties = {};
+
+    if (!TIME_REFERENCE.test(topic)) {
+      properties.time_period = {
+        type: "string",
+        title: "Time period",
+        description:
+          "e.g. 'last 12 months', '2020-2024' or 'historical'. Relative periods filter results by date. " +
+          "Leave empty for any time.",
+      };
+    }
+    if (!location) {
+      properties.region = {
+        type: "string",
+        title: "Region",
+        description: "Country to localize the results to. Leave empty for worldwide.",
+        enum: getConfig().search?.supportedCountries || [],
+      };
+    }
+    if (!focus || focus === "general") {
+      properties.research_focus = {
+        type: "string",
+        title: "Research focus",
+        description: "Kind of sources and report you want",
+        enum: RESEARCH_FOCUS_MODES,
+        default: "general",
+      };
+    }
+    properties.angle = {
+      type: "string",
+      title: "Angle",
+      description: "What aspect of the topic matters most to you?",
+    };
+
+    return { type: "object", properties };
+  }
+
+  /**
+   * Ask the user to narrow down a vague topic
+   * @param {object} server - Low-level MCP server of the current session
+   * @param {string} topic - The research topic
+   * @param {object} options - { location, focus, signal }
+   * @returns {Promise<{location?: string, focus?: string, clarifications?: {timePeriod?: string, timeRange?: string, angle?: string}}>}
+   *   Only the values the user supplied, empty when the step was skipped or declined
+   */
+  async clarify(server, topic, options = {}) {
+    if (!this.isAvailable(server) || !this.isVague(topic)) return {};
+
+    let response;
+    try {
+      response = await server.elicitInput(
+        {
+          mode: "form",
+          message:
+            `"${topic}" is quite broad. Answer any of these questions to focus the research ` +
+            `before it starts spending search credits, or decline to research it as is.`,
+          requestedSchema: this.buildQuestions(topic, options),
+        },
+        options.signal ? { signal: options.signal } : undefined,
+      );
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      logger.warn("Elicitation failed, researching the topic as given", { error: error.message });
+      return {};
+    }
+
+    if (response.action !== "accept" || !response.content) {
+      logger.info("Clarifying questions declined", { topic, action: response.action });
+      return {};
+    }
+
+    const answer = (key) => {
+      const value = response.content[key];
+      return typeof value === "string" && value.trim() ? value.trim() : undefined;
+    };
+    const timeRange = this.toTimeRange(answer("time_period"));
+    const clarifications = {
+      ...(answer("time_period") && { timePeriod: answer("time_period") }),
+      ...(timeRange && { timeRange }),
+      ...(answer("angle") && { angle: answer("angle") }),
+    };
+
+    return {
+      ...(answer("region") && { location: answer("region") }),
+      ...(answer("research_focus") && { focus: answer("research_focus") }),
+      ...(Object.keys(clarifications).length > 0 && { clarifications }),
+    };
+  }
+
+  /**
+   * Map a relative time period answer onto the narrowest time_range filter
+   * that covers it. Absolute periods ("2020-2024", "historical") have no
+   * filter and stay in the query text instead.
+   * @param {string} [timePeriod] - The user's time period answer
+   * @returns {string|undefined} "day", "week", "month" or "year"
+   */
+  toTimeRange(timePeriod) {
+    const text = (timePeriod || "").toLowerCase().replace(/\s+/g, " ").trim();
+    if (text === "today" || text === "yesterday") return "day";
+
+    const match = text.match(RELATIVE_PERIOD);
+    if (!match) return undefined;
+    const count = /^\d+$/.test(match[1] || "") ? Number(match[1]) : 1;
+    const days = count * PERIOD_UNIT_DAYS[match[2]];
+    return Object.keys(TIME_RANGE_DAYS).find((range) => days <= TIME_RANGE_DAYS[range]);
+  }
+
+  /**
+   * Fold the clarified angle into the root search query, and the time
+   * period too when it could not be mapped onto the time_range filter
+   */
+  refineQuery(topic, clarifications) {
+    if (!clarifications) return topic;
+    const timePeriod = clarifications.timeRange ? undefined : clarifications.timePeriod;
+    return [topic, clarifications.angle, timePeriod].filter(Boolean).join(" ");
+  }
+}
+
+export const clarificationService = new ClarificationService();
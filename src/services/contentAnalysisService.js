@@ -1,3 +1,32 @@
+const MONTHS =
+  "january|february|march|april|may|june|july|august|september|october|november|december|" +
+  "jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec";
+
+// Dates ("March 3, 2021", "3 March 2021") first, then numbers with an
+// optional currency and scale/unit
+const VALUE_PATTERN = new RegExp(
+  [
+    `\\b(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+(?:19|20)\\d{2}\\b`,
+    `\\b\\d{1,2}\\s+(?:${MONTHS})\\.?\\s+(?:19|20)\\d{2}\\b`,
+    "(?:[$€£]\\s?)?\\b\\d[\\d,]*(?:\\.\\d+)?(?:\\s?(?:%|percent\\b|trillion\\b|billion\\b|million\\b|thousand\\b|bn\\b))?",
+  ].join("|"),
+  "gi",
+);
+const DATE_PATTERN = new RegExp(`^(?:\\d{1,2}\\s+)?(?:${MONTHS})\\b`, "i");
+
+// "<subject> founded by <Name>", "headquartered in <Place>" ...
+const FACT_PATTERN =
+  /\b(founded|co-founded|established|created|invented|developed|headquartered|based|acquired|owned|led|discovered|designed|written|directed)\s+(by|in)\s+((?:[A-Z][\w.&'-]*)(?:\s+(?:of|de|van|von|[A-Z][\w.&'-]*))*)/g;
+
+const SCALES = { thousand: 1e3, million: 1e6, billion: 1e9, bn: 1e9, trillion: 1e12 };
+const CLAIM_KEY_WORDS = 3;
+const NUMBER_TOLERANCE = 0.005; // Relative difference still treated as the same number
+const CLAIM_FILLERS = new Set([
+  "was", "are", "has", "had", "its", "the", "and", "for", "his", "her",
+  "around", "approximately", "roughly", "nearly", "almost", "estimated",
+  "reached", "totaled", "totalled", "stood", "at", "per", "cent",
+]);
+
 /**
  * Content Analysis Service
  * Evaluates relevance, sentiment, and quality of content
@@ -15,6 +44,21 @@ export class ContentAnalysisService {
       "a",
       "to",
     ]); // Expanded in real usage
+
+    // Broader list used when picking terms worth searching for
+    this.termStopwords = new Set([
+      ...this.stopwords,
+      "about", "after", "also", "been", "before", "being", "between",
+      "both", "could", "does", "each", "even", "from", "have", "here",
+      "into", "just", "like", "made", "make", "many", "more", "most",
+      "much", "must", "only", "other", "over", "same", "should", "some",
+      "such", "than", "that", "their", "them", "then", "there", "these",
+      "they", "this", "those", "through", "under", "very", "were", "what",
+      "when", "where", "which", "while", "will", "with", "would", "your",
+      "page", "click", "cookie", "cookies", "privacy", "policy", "sign",
+      "login", "menu", "search", "home", "share", "read", "http", "https",
+      "www",
+    ]);
   }
 
   analyze(text, query) {
@@ -121,6 +165,225 @@ export class ContentAnalysisService {
       .map((entry) => entry[0]);
   }
 
+  /**
+   * Extract the most frequent significant terms from text, skipping
+   * stopwords and anything in `exclude` (e.g. words already in the query)
+   * @param {string} text
+   * @param {object} options - { exclude: string[], limit: number }
+   * @returns {string[]}
+   */
+  extractKeyTerms(text, { exclude = [], limit = 5 } = {}) {
+    const excluded = new Set(exclude.map((term) => term.toLowerCase()));
+    const words = (text || "").toLowerCase().match(/\b[a-z][a-z0-9-]+\b/g) || [];
+    const frequency = {};
+
+    words.forEach((word) => {
+      if (
+        word.length > 3 &&
+        !this.termStopwords.has(word) &&
+        !excluded.has(word)
+      ) {
+        frequency[word] = (frequency[word] || 0) + 1;
+      }
+    });
+
+    return Object.entries(frequency)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map((entry) => entry[0]);
+  }
+
+  /**
+   * Rank the sentences of a text by how many query terms they contain
+   * (extractive summarization). Returned in ranked order.
+   * @param {string} text
+   * @param {string} query
+   * @param {number} limit
+   * @returns {Array<{sentence: string, score: number}>}
+   */
+  extractKeySentences(text, query, limit = 3) {
+    const queryTerms = new Set(
+      (query || "")
+        .toLowerCase()
+        .split(/\s+/)
+        .filter((t) => t && !this.stopwords.has(t)),
+    );
+    if (!text || queryTerms.size === 0) return [];
+
+    const sentences = text
+      .replace(/\s+/g, " ")
+      .split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/)
+      .map((s) => s.trim())
+      .filter((s) => s.length >= 40 && s.length <= 400);
+
+    return sentences
+      .map((sentence, index) => {
+        const words = new Set(sentence.toLowerCase().match(/\b[\w-]+\b/g) || []);
+        const matches = [...queryTerms].filter((t) => words.has(t)).length;
+        return { sentence, score: matches / queryTerms.size, index };
+      })
+      .filter((s) => s.score > 0)
+      // Earlier sentences tend to carry the lead, use position as tie-breaker
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, limit)
+      .map(({ sentence, score }) => ({ sentence, score }));
+  }
+
+  /**
+   * Extract checkable claims from text: numbers, dates and named facts, each
+   * keyed by the significant words that precede it in its clause so the
+   * same claim can be matched across sources
+   * @param {string} text
+   * @returns {Array<{kind: string, key: string, subject: string, value: string|number, display: string, unit: string, sentence: string}>}
+   */
+  extractClaims(text) {
+    if (!text) return [];
+    const claims = [];
+
+    const sentences = text
+      .replace(/\s+/g, " ")
+      .split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/)
+      .filter((s) => s.length <= 400);
+
+    for (const sentence of sentences) {
+      for (const match of sentence.matchAll(FACT_PATTERN)) {
+        const [, verb, preposition] = match;
+        const name = match[3].replace(/[.'-]+$/, "");
+        if (/^\d/.test(name)) continue;
+        const words = this.claimKeyWords(sentence.slice(0, match.index));
+        if (words.length === 0) continue;
+        claims.push(
+          this.toClaim("fact", [...words, verb.toLowerCase(), preposition], name, name, "", sentence),
+        );
+      }
+
+      for (const match of sentence.matchAll(VALUE_PATTERN)) {
+        const display = match[0].trim();
+        const words = this.claimKeyWords(sentence.slice(0, match.index));
+        if (words.length === 0) continue;
+
+        if (DATE_PATTERN.test(display)) {
+          const date = new Date(display.replace(/(\d)(st|nd|rd|th)/i, "$1"));
+          if (isNaN(date)) continue;
+          const iso = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+          claims.push(this.toClaim("date", words, iso, display, "", sentence));
+          continue;
+        }
+
+        const number = this.parseNumber(display);
+        if (!number) continue;
+        if (!number.unit && /^(19|20)\d{2}$/.test(display)) {
+          claims.push(this.toClaim("date", words, display, display, "year", sentence));
+          continue;
+        }
+        // The noun after a number tells "4 million users" from "4 million nodes"
+        const noun = sentence.slice(match.index + match[0].length).match(/^\s+([a-z][a-z-]+)/i)?.[1];
+        if (noun && !this.termStopwords.has(noun.toLowerCase()) && !CLAIM_FILLERS.has(noun.toLowerCase())) {
+          words.push(noun.toLowerCase());
+        }
+        claims.push(this.toClaim("number", words, number.value, display, number.unit, sentence));
+      }
+    }
+
+    return claims;
+  }
+
+  /**
+   * Find claims on which sources disagree
+   * @param {Array<{source: {title: string, url: string}, text: string}>} documents
+   * @param {object} options - { limit }
+   * @returns {Array<{kind: string, subject: string, values: Array<{value: string, sources: Array<{title: string, url: string}>, excerpt: string}>}>}
+   */
+  findContradictions(documents, { limit = 10 } = {}) {
+    const groups = new Map();
+    for (const { source, text } of documents) {
+      for (const claim of this.extractClaims(text)) {
+        const groupKey = `${claim.kind}|${claim.unit}|${claim.key}`;
+        if (!groups.has(groupKey)) groups.set(groupKey, []);
+        groups.get(groupKey).push({ ...claim, source });
+      }
+    }
+
+    const contradictions = [];
+    for (const claims of groups.values()) {
+      const clusters = [];
+      for (const claim of claims) {
+        let cluster = clusters.find((c) => this.sameClaimValue(c.claims[0], claim));
+        if (!cluster) {
+          cluster = { claims: [], sources: new Map() };
+          clusters.push(cluster);
+        }
+        cluster.claims.push(claim);
+        cluster.sources.set(claim.source.url, claim.source);
+      }
+      if (clusters.length < 2) continue;
+
+      // A source stating several values for one key usually lists a series
+      // (per year, per region) rather than contradicting anyone
+      const urls = clusters.flatMap((c) => [...c.sources.keys()]);
+      if (new Set(urls).size !== urls.length || urls.length < 2) continue;
+
+      contradictions.push({
+        kind: claims[0].kind,
+        subject: claims[0].subject,
+        values: clusters.map((c) => ({
+          value: c.claims[0].display,
+          sources: [...c.sources.values()].map(({ title, url }) => ({ title, url })),
+          excerpt: c.claims[0].sentence.substring(0, 200),
+        })),
+      });
+    }
+
+    return contradictions
+      .sort((a, b) => this.countSources(b) - this.countSources(a))
+      .slice(0, limit);
+  }
+
+  toClaim(kind, words, value, display, unit, sentence) {
+    return {
+      kind,
+      key: [...words].sort().join(" "),
+      subject: words.join(" "),
+      value,
+      display,
+      unit,
+      sentence: sentence.trim(),
+    };
+  }
+
+  /**
+   * The last significant words of the clause before a value
+   */
+  claimKeyWords(prefix) {
+    const clause = prefix.split(/[,;:()—–]|\d/).pop();
+    return (clause.toLowerCase().match(/\b[a-z][a-z'-]+\b/g) || [])
+      .map((word) => word.replace(/'s$/, ""))
+      .filter((word) => word.length > 2 && !this.termStopwords.has(word) && !CLAIM_FILLERS.has(word))
+      .slice(-CLAIM_KEY_WORDS);
+  }
+
+  parseNumber(display) {
+    const match = display.match(/^([$€£])?\s?([\d,]+(?:\.\d+)?)\s?(%|percent|trillion|billion|million|thousand|bn)?$/i);
+    if (!match) return null;
+    const [, currency = "", digits, suffix = ""] = match;
+    const scale = SCALES[suffix.toLowerCase()] || 1;
+    const value = parseFloat(digits.replace(/,/g, "")) * scale;
+    if (!isFinite(value)) return null;
+
+    const percent = /^(%|percent)$/i.test(suffix);
+    return { value, unit: currency || (percent ? "%" : "") };
+  }
+
+  sameClaimValue(a, b) {
+    if (a.kind !== "number") return String(a.value).toLowerCase() === String(b.value).toLowerCase();
+    const largest = Math.max(Math.abs(a.value), Math.abs(b.value));
+    return largest === 0 || Math.abs(a.value - b.value) / largest <= NUMBER_TOLERANCE;
+  }
+
+  countSources(contradiction) {
+    return contradiction.values.reduce((sum, v) => sum + v.sources.length, 0);
+  }
+
   analyzeSentiment(text) {
     const positiveWords = ["good", "great", "excellent", "best", "amazing"];
     const negativeWords = ["bad", "worst", "terrible", "poor", "awful"];
@@ -1,10 +1,66 @@
+import axios from "axios";
 import puppeteer from "puppeteer";
 import logger from "../core/logger.js";
+import { getConfig } from "../core/config.js";
+import { createCacheStore } from "../core/cacheStore.js";
 import { validateUrl } from "../core/security.js";
+import { EnhancedCache } from "./resultProcessor.js";
+
+const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+const REVALIDATE_TIMEOUT = 5000;
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid)$/i;
+
+/**
+ * Cache key of a page: scheme and host lowercased, default port, fragment
+ * and tracking parameters dropped, remaining query parameters sorted
+ */
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+    }
+    parsed.searchParams.sort();
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
 
 export class ContentFetcher {
-  constructor() {
+  /**
+   * @param {object} config - Server config, `cache` and `scrapeCache` are used
+   */
+  constructor(config = getConfig()) {
     this.browser = null;
+    this.scrapeCacheConfig = config.scrapeCache;
+    // Expired pages stay for the revalidation window, to be checked with a
+    // conditional request before they are scraped again. The limits are the
+    // scrape cache's own, the search cache has separate ones.
+    this.cache = new EnhancedCache(config.scrapeCache.ttl, config.scrapeCache.maxSize, config.cache.enabled, {
+      maxBytes: config.scrapeCache.maxBytes,
+      staleWindow: config.scrapeCache.revalidateWindow,
+      store: config.cache.enabled ? createCacheStore(config.cache, "scrape-cache") : undefined,
+    });
+  }
+
+  /**
+   * TTL for a URL: the most specific configured domain wins, subdomains
+   * included, otherwise the default scrape TTL
+   */
+  ttlFor(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      return this.scrapeCacheConfig.ttl;
+    }
+    const match = Object.keys(this.scrapeCacheConfig.domainTtls)
+      .filter((domain) => hostname === domain || hostname.endsWith(`.${domain}`))
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? this.scrapeCacheConfig.domainTtls[match] : this.scrapeCacheConfig.ttl;
   }
 
   async initBrowser() {
@@ -16,7 +72,20 @@ export class ContentFetcher {
     }
   }
 
-  async fetchContent(url) {
+  /**
+   * Scrape the text content of a page. Pages scraped before are served from
+   * the cache; expired ones that sent an ETag or Last-Modified are checked
+   * with a conditional request and only scraped again when they changed.
+   * `fromCache` and `cacheStatus` ("hit", "revalidated", "miss") tell which.
+   * @param {string} url - The URL to scrape
+   * @param {object} options - { signal } aborting closes the page mid-navigation
+   */
+  async fetchContent(url, options = {}) {
+    const { signal } = options;
+    if (signal?.aborted) {
+      return { url, error: "Scrape cancelled", content: null, fromCache: false };
+    }
+
     // Validate URL first
     try {
       await validateUrl(url);
@@ -26,16 +95,78 @@ export class ContentFetcher {
         url,
         error: error.message,
         content: null,
+        fromCache: false,
       };
     }
 
+    const key = normalizeUrl(url);
+    const ttl = this.ttlFor(url);
+    const cached = ttl > 0 ? this.cache.getEntry(key) : null;
+    if (cached && !cached.stale) {
+      return { ...cached.data, url, fromCache: true, cacheStatus: "hit" };
+    }
+    if (cached && (await this.isUnchanged(url, cached.data, signal))) {
+      this.cache.set(key, cached.data, ttl); // Fresh for another TTL
+      return { ...cached.data, url, fromCache: true, cacheStatus: "revalidated" };
+    }
+
+    const page = await this.scrapePage(url, signal);
+    if (!page.error && ttl > 0) {
+      // Pages without validators cannot be revalidated, they expire at the TTL
+      this.cache.set(key, page, ttl, page.etag || page.lastModified ? undefined : 0);
+    }
+    return { ...page, fromCache: false, cacheStatus: "miss" };
+  }
+
+  /**
+   * Ask the server whether a cached page changed, using its validators.
+   * Redirects are not followed; anything but a clear "unchanged" counts as
+   * changed and leads to a new scrape.
+   */
+  async isUnchanged(url, page, signal) {
+    if (!page.etag && !page.lastModified) return false;
+
+    const headers = { "User-Agent": USER_AGENT };
+    if (page.etag) headers["If-None-Match"] = page.etag;
+    if (page.lastModified) headers["If-Modified-Since"] = page.lastModified;
+
+    try {
+      const response = await this.requestHead(url, headers, signal);
+      if (response.status === 304) return true;
+      // Servers that ignore conditional headers may still send the same ETag
+      return response.status < 300 && Boolean(page.etag) && response.headers?.etag === page.etag;
+    } catch (error) {
+      logger.debug(`Revalidation failed for ${url}: ${error.message}`);
+      return false;
+    }
+  }
+
+  requestHead(url, headers, signal) {
+    return axios.head(url, {
+      headers,
+      signal,
+      maxRedirects: 0,
+      timeout: REVALIDATE_TIMEOUT,
+      validateStatus: () => true,
+    });
+  }
+
+  /**
+   * Scrape a page with the headless browser
+   * @returns {Promise<object>} Page with title, content and the validators
+   *   (etag, lastModified) the server sent, or an error
+   */
+  async scrapePage(url, signal) {
     await this.initBrowser();
     const page = await this.browser.newPage();
+    const onAbort = () => {
+      page.close().catch(() => {});
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
     try {
       // Set user agent to avoid bot detection
-      await page.setUserAgent(
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-      );
+      await page.setUserAgent(USER_AGENT);
 
       // Block resources to speed up loading
       await page.setRequestInterception(true);
@@ -49,7 +180,8 @@ export class ContentFetcher {
         }
       });
 
-      await page.goto(url, { waitUntil: "domcontentloaded", timeout: 15000 });
+      const response = await page.goto(url, { waitUntil: "domcontentloaded", timeout: 15000 });
+      const responseHeaders = response?.headers() || {};
 
       // Extract main content
       const content = await page.evaluate(() => {
@@ -79,8 +211,13 @@ export class ContentFetcher {
         title,
         content: content.replace(/\s+/g, " ").trim().substring(0, 10000), // Limit size
         scrapedAt: new Date().toISOString(),
+        ...(responseHeaders.etag && { etag: responseHeaders.etag }),
+        ...(responseHeaders["last-modified"] && { lastModified: responseHeaders["last-modified"] }),
       };
     } catch (error) {
+      if (signal?.aborted) {
+        return { url, error: "Scrape cancelled", content: null };
+      }
       logger.error(`Scraping failed for ${url}: ${error.message}`);
       return {
         url,
@@ -88,7 +225,10 @@ export class ContentFetcher {
         content: null,
       };
     } finally {
-      await page.close();
+      signal?.removeEventListener("abort", onAbort);
+      if (!page.isClosed()) {
+        await page.close();
+      }
     }
   }
 
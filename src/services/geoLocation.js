@@ -0,0 +1,157 @@
+/**
+ * Geolocation for localized search
+ * The Presearch API localizes results by the `location` parameter (a JSON
+ * object with lat/long) or by the caller's IP. Countries and well-known
+ * cities are mapped to coordinates here, explicit coordinates are passed
+ * through. Countries are validated against config.search.supportedCountries.
+ */
+
+import { getConfig } from "../core/config.js";
+import { ValidationError } from "../utils/errors.js";
+
+// Representative coordinates (capital or main population centre) per ISO 3166-1 alpha-2 code,
+// one per country of config.search.supportedCountries
+export const COUNTRY_COORDINATES = {
+  US: { name: "United States", lat: 38.9072, long: -77.0369 },
+  GB: { name: "United Kingdom", lat: 51.5074, long: -0.1278 },
+  CA: { name: "Canada", lat: 43.6532, long: -79.3832 },
+  AU: { name: "Australia", lat: -33.8688, long: 151.2093 },
+  DE: { name: "Germany", lat: 52.52, long: 13.405 },
+  FR: { name: "France", lat: 48.8566, long: 2.3522 },
+  IT: { name: "Italy", lat: 41.9028, long: 12.4964 },
+  ES: { name: "Spain", lat: 40.4168, long: -3.7038 },
+  BR: { name: "Brazil", lat: -23.5505, long: -46.6333 },
+  JP: { name: "Japan", lat: 35.6762, long: 139.6503 },
+  CN: { name: "China", lat: 39.9042, long: 116.4074 },
+  IN: { name: "India", lat: 28.6139, long: 77.209 },
+  RU: { name: "Russia", lat: 55.7558, long: 37.6173 },
+};
+
+// Major cities of the supported markets, keyed by lowercase ASCII name
+export const CITY_COORDINATES = {
+  "new york": { country: "US", lat: 40.7128, long: -74.006 },
+  "los angeles": { country: "US", lat: 34.0522, long: -118.2437 },
+  chicago: { country: "US", lat: 41.8781, long: -87.6298 },
+  "san francisco": { country: "US", lat: 37.7749, long: -122.4194 },
+  seattle: { country: "US", lat: 47.6062, long: -122.3321 },
+  miami: { country: "US", lat: 25.7617, long: -80.1918 },
+  london: { country: "GB", lat: 51.5074, long: -0.1278 },
+  manchester: { country: "GB", lat: 53.4808, long: -2.2426 },
+  edinburgh: { country: "GB", lat: 55.9533, long: -3.1883 },
+  toronto: { country: "CA", lat: 43.6532, long: -79.3832 },
+  vancouver: { country: "CA", lat: 49.2827, long: -123.1207 },
+  montreal: { country: "CA", lat: 45.5017, long: -73.5673 },
+  sydney: { country: "AU", lat: -33.8688, long: 151.2093 },
+  melbourne: { country: "AU", lat: -37.8136, long: 144.9631 },
+  berlin: { country: "DE", lat: 52.52, long: 13.405 },
+  munich: { country: "DE", lat: 48.1351, long: 11.582 },
+  hamburg: { country: "DE", lat: 53.5511, long: 9.9937 },
+  frankfurt: { country: "DE", lat: 50.1109, long: 8.6821 },
+  paris: { country: "FR", lat: 48.8566, long: 2.3522 },
+  lyon: { country: "FR", lat: 45.764, long: 4.8357 },
+  marseille: { country: "FR", lat: 43.2965, long: 5.3698 },
+  rome: { country: "IT", lat: 41.9028, long: 12.4964 },
+  milan: { country: "IT", lat: 45.4642, long: 9.19 },
+  madrid: { country: "ES", lat: 40.4168, long: -3.7038 },
+  barcelona: { country: "ES", lat: 41.3874, long: 2.1686 },
+  "sao paulo": { country: "BR", lat: -23.5505, long: -46.6333 },
+  "rio de janeiro": { country: "BR", lat: -22.9068, long: -43.1729 },
+  tokyo: { country: "JP", lat: 35.6762, long: 139.6503 },
+  osaka: { country: "JP", lat: 34.6937, long: 135.5023 },
+  beijing: { country: "CN", lat: 39.9042, long: 116.4074 },
+  shanghai: { country: "CN", lat: 31.2304, long: 121.4737 },
+  shenzhen: { country: "CN", lat: 22.5431, long: 114.0579 },
+  mumbai: { country: "IN", lat: 19.076, long: 72.8777 },
+  delhi: { country: "IN", lat: 28.7041, long: 77.1025 },
+  bangalore: { country: "IN", lat: 12.9716, long: 77.5946 },
+  moscow: { country: "RU", lat: 55.7558, long: 37.6173 },
+  "saint petersburg": { country: "RU", lat: 59.9311, long: 30.3609 },
+};
+
+const normalizeName = (value) =>
+  value
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/^st\.?\s/, "saint ")
+    .replace(/[^a-z\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Map a country code or English country name to its ISO code
+ * @returns {string|null}
+ */
+export function toCountryCode(country) {
+  const value = String(country).trim();
+  const code = value.toUpperCase() === "UK" ? "GB" : value.toUpperCase();
+  if (COUNTRY_COORDINATES[code]) return code;
+
+  const name = normalizeName(value);
+  const match = Object.entries(COUNTRY_COORDINATES).find(
+    ([, entry]) => normalizeName(entry.name) === name,
+  );
+  return match ? match[0] : null;
+}
+
+function assertSupported(code, input) {
+  const supported = getConfig().search?.supportedCountries || [];
+  if (!supported.includes(code)) {
+    throw new ValidationError(
+      `Country '${input}' is not supported. Supported countries: ${supported.join(", ")}`,
+    );
+  }
+}
+
+/**
+ * Resolve the geographic options of a search into API coordinates
+ * @param {object} options - { lat, long, city, country }, most specific wins
+ * @returns {{ lat: number, long: number, country?: string, city?: string, source: string }|null}
+ *   null when no location was requested
+ * @throws {ValidationError} For invalid coordinates, unknown cities and unsupported countries
+ */
+export function resolveLocation({ lat, long, city, country } = {}) {
+  if (lat !== undefined || long !== undefined) {
+    const latitude = Number(lat);
+    const longitude = Number(long);
+    if (
+      !Number.isFinite(latitude) ||
+      !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 ||
+      Math.abs(longitude) > 180
+    ) {
+      throw new ValidationError(
+        "Both lat (-90 to 90) and long (-180 to 180) are required for coordinates",
+      );
+    }
+    return { lat: latitude, long: longitude, source: "coordinates" };
+  }
+
+  if (city) {
+    // "Paris" or "Paris, FR" to tell cities with the same name apart
+    const [name, countryHint] = String(city).split(",").map((part) => part.trim());
+    const entry = CITY_COORDINATES[normalizeName(name)];
+    const hintCode = countryHint ? toCountryCode(countryHint) : null;
+    if (!entry || (countryHint && hintCode !== entry.country)) {
+      throw new ValidationError(
+        `Unknown city '${city}'. Pass lat and long instead, or one of: ${Object.keys(CITY_COORDINATES).join(", ")}`,
+      );
+    }
+    assertSupported(entry.country, entry.country);
+    return { lat: entry.lat, long: entry.long, country: entry.country, city: name, source: "city" };
+  }
+
+  if (country) {
+    const code = toCountryCode(country);
+    if (!code) {
+      throw new ValidationError(
+        `Unknown country '${country}'. Supported countries: ${Object.keys(COUNTRY_COORDINATES).join(", ")}`,
+      );
+    }
+    assertSupported(code, country);
+    const entry = COUNTRY_COORDINATES[code];
+    return { lat: entry.lat, long: entry.long, country: code, source: "country" };
+  }
+
+  return null;
+}
@@ -1,12 +1,39 @@
 import { apiClient } from "../core/apiClient.js";
 import { resultProcessor } from "./resultProcessor.js";
+import { resolveLocation } from "./geoLocation.js";
+import { parseQuery } from "./queryParser.js";
 import logger from "../core/logger.js";
+import { AppError, SearchError, ValidationError } from "../utils/errors.js";
+
+const MAX_AUTO_PAGES = 10; // API pages fetched at most to fill one limit
+
+// search() options handed on to ResultProcessor.processResults()
+const PROCESSING_OPTIONS = [
+  "time_range",
+  "content_categories",
+  "include_domains",
+  "exclude_domains",
+  "min_quality_score",
+  "sort",
+  "count",
+  "sections",
+  "research_focus",
+];
+
+const RRF_K = 60; // Reciprocal rank fusion constant, damps the weight of top ranks
+const DEFAULT_BATCH_CONCURRENCY = 3;
 
 export class PresearchService {
+  constructor() {
+    this.inFlight = new Map(); // Cache key -> upstream request shared by its callers
+  }
+
   /**
    * Execute a search query against the Presearch API
    * @param {string} query - The search query
-   * @param {object} options - Search options (page, limit, etc.)
+   * @param {object} options - Search options (page, limit, time_range, country, city, lat, long, signal, etc.)
+   *   budget: ResearchBudget charged for every request sent to the API, node
+   *   failovers and retries included; cache hits are free
    */
   async search(query, options = {}) {
     try {
@@ -19,44 +46,442 @@ export class PresearchService {
       // Add optional parameters if provided
       if (options.safesearch) params.safe = options.safesearch;
       if (options.lang) params.lang = options.lang;
+      if (options.time_range && options.time_range !== "any") {
+        params.time = options.time_range;
+      }
       
-      // Handle location/IP requirements
-      // API requires either 'ip' or 'location' (coordinates)
-      if (options.country) {
-         // If country provided, we can't easily map to coordinates without a lookup.
-         // For now, we fall back to a generic IP which will geo-locate to *some* location.
-         // Ideally, client should provide specific coordinates if location precision is needed.
-         // We use 1.1.1.1 as a generic valid IP.
-         params.ip = "1.1.1.1"; 
+      // The API needs either coordinates ('location') or an IP to localize
+      // results. Without a requested location a neutral public IP is sent.
+      const location = resolveLocation({
+        lat: options.lat,
+        long: options.long,
+        city: options.city,
+        country: options.country,
+      });
+      if (location) {
+        params.location = JSON.stringify({ lat: location.lat, long: location.long });
       } else {
-         params.ip = "1.1.1.1"; // Default to generic IP
+        params.ip = "1.1.1.1";
       }
 
-      const requestConfig = { params };
+      const requestConfig = { params, ...(options.budget && { __requestBudget: options.budget }) };
       if (options.apiKey) {
         requestConfig.headers = {
           "Authorization": `Bearer ${options.apiKey}`
         };
       }
 
-      const response = await apiClient.get("/v1/search", requestConfig);
+      // Federated searches ask every healthy node and merge their results
+      const fetchResponse = async (signal) => {
+        options.budget?.useApiCall();
+        const fetched = options.federated
+          ? this.mergeNodeResponses(await apiClient.getFromAllNodes("/v1/search", { ...requestConfig, signal }))
+          : await apiClient.get("/v1/search", { ...requestConfig, signal });
+        return { data: fetched.data, nodes: fetched.nodes };
+      };
+
+      // Repeated API requests are answered from the cache, every query is
+      // paid for. Filters and sorting still run on the cached response.
+      // Stale entries are served as they are and refreshed in the background.
+      const cacheKey = resultProcessor.cache.generateKey(query, { ...params, federated: Boolean(options.federated) });
+      const cached = resultProcessor.cache.getEntry(cacheKey);
+      if (cached?.stale) this.revalidate(cacheKey, fetchResponse);
+      const response = cached ? cached.data : await this.fetchShared(cacheKey, fetchResponse, options.signal);
       
       // Process results using the result processor (deduplication, scoring, etc.)
+      // Operators are enforced on the results in case the engine ignored them.
+      // Only processing options are passed, they end up in the metadata.
+      const parsedQuery = parseQuery(query);
       const processed = await resultProcessor.processResults(
         response.data, // Pass entire data object so processor can find 'standardResults'
         query, 
-        options
+        {
+          ...this.processingOptions(options),
+          parsed_query: parsedQuery,
+        }
       );
+      // A processing failure is not an empty result set
+      if (processed.error) {
+        throw new SearchError(processed.error);
+      }
 
       return {
         results: processed.results,
-        metadata: processed.metadata,
+        sections: processed.sections || {},
+        metadata: {
+          ...processed.metadata,
+          cacheHit: Boolean(cached),
+          ...(cached && { cacheAgeMs: cached.ageMs }),
+          ...(cached?.stale && { cacheStale: true }),
+        },
+        ...(location && { location }),
+        ...(parsedQuery.hasOperators && { parsedQuery }),
+        ...(response.nodes && { nodes: response.nodes }),
         originalMeta: response.data.metadata || {} // Keep original metadata if needed
       };
     } catch (error) {
       logger.error("Presearch Service Error", { error: error.message, query });
-      throw error;
+      // Cancellations and our own errors pass through, upstream failures are categorized
+      if (options.signal?.aborted || error instanceof AppError) throw error;
+      throw new SearchError(resultProcessor.errorCategorizer.categorizeError(error), error);
+    }
+  }
+
+  /**
+   * Fetch and cache a response, sharing one upstream request between all
+   * callers asking for the same cache key while it is in flight. A caller
+   * that cancels stops waiting; the request itself is aborted only once
+   * every waiting caller has cancelled.
+   * @param {string} key - Cache key of the request
+   * @param {Function} fetchResponse - (signal) => Promise of the response
+   * @param {AbortSignal} signal - The caller's signal, if any
+   */
+  fetchShared(key, fetchResponse, signal) {
+    let flight = this.inFlight.get(key);
+    if (!flight) {
+      const controller = new AbortController();
+      flight = { controller, waiting: 0, keepAlive: false };
+      flight.promise = fetchResponse(controller.signal)
+        .then((response) => {
+          resultProcessor.cache.set(key, response);
+          return response;
+        })
+        .finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, flight);
+    } else {
+      logger.debug("Joining in-flight search", { key });
+    }
+
+    // Callers without a signal keep the request alive
+    if (!signal) {
+      flight.keepAlive = true;
+      return flight.promise;
+    }
+
+    flight.waiting++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(signal.reason);
+        if (--flight.waiting === 0 && !flight.keepAlive) flight.controller.abort();
+      };
+      if (signal.aborted) return onAbort();
+      signal.addEventListener("abort", onAbort, { once: true });
+      flight.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener("abort", onAbort));
+    });
+  }
+
+  /**
+   * Refresh a stale cache entry in the background, unless already underway
+   */
+  revalidate(key, fetchResponse) {
+    if (this.inFlight.has(key)) return;
+    this.fetchShared(key, fetchResponse).catch((error) => {
+      logger.warn("Background cache refresh failed", { key, error: error.message });
+    });
+  }
+
+  /**
+   * Merge the responses of several nodes into one response: results are
+   * interleaved by rank and repeated URLs dropped, the remaining fields
+   * come from the fastest node.
+   * @param {{node: string, response: object}[]} nodeResponses - From apiClient.getFromAllNodes()
+   */
+  mergeNodeResponses(nodeResponses) {
+    const lists = nodeResponses.map(({ response }) => {
+      const data = response.data || {};
+      return data.standardResults || data.results || [];
+    });
+
+    const seen = new Set();
+    const merged = [];
+    const longest = Math.max(0, ...lists.map((list) => list.length));
+    for (let rank = 0; rank < longest; rank++) {
+      for (const list of lists) {
+        const result = list[rank];
+        const url = result?.url || result?.link;
+        if (!result || (url && seen.has(url))) continue;
+        if (url) seen.add(url);
+        merged.push(result);
+      }
+    }
+
+    const data = { ...nodeResponses[0].response.data };
+    delete data.results;
+    return {
+      data: { ...data, standardResults: merged },
+      nodes: nodeResponses.map(({ node }, index) => ({ node, results: lists[index].length })),
+    };
+  }
+
+  /**
+   * Pick the result processing options out of search() options, leaving
+   * out credentials, signals and request parameters
+   */
+  processingOptions(options) {
+    return Object.fromEntries(
+      PROCESSING_OPTIONS.filter((key) => options[key] !== undefined).map((key) => [key, options[key]]),
+    );
+  }
+
+  /**
+   * Search across as many API pages as needed to return `limit` results,
+   * deduplicating across pages. Returns a `nextPage` cursor pointing just
+   * after the last returned result, or null when the results ran out.
+   * @param {string} query - The search query
+   * @param {object} options - Same as search(); `page` may be a page number
+   *   or a cursor returned earlier
+   */
+  async searchPages(query, options = {}) {
+    const limit = options.limit || 10;
+    const start = this.decodePageCursor(options.page);
+    const deduplicator = resultProcessor.deduplicator;
+
+    let { page, offset } = start;
+    let collected = [];
+    let first = null;
+    let nextPage = null;
+    let exhausted = false;
+    let pagesFetched = 0;
+    let cachedPages = 0;
+    let oldestCacheAgeMs = 0;
+    let duplicatesAcrossPages = 0;
+    // Filter counts of all fetched pages
+    const counts = {};
+
+    while (pagesFetched < MAX_AUTO_PAGES) {
+      const response = await this.search(query, { ...options, page });
+      first = first || response;
+      pagesFetched++;
+      if (response.metadata?.cacheHit) {
+        cachedPages++;
+        oldestCacheAgeMs = Math.max(oldestCacheAgeMs, response.metadata.cacheAgeMs);
+      }
+
+      // Keep this page's results that are not duplicates of earlier pages
+      const pageResults = response.results.slice(offset);
+      const unique = new Set(deduplicator.deduplicate([...collected, ...pageResults]).results);
+      const fresh = pageResults.filter((result) => unique.has(result));
+
+      // Count what the filters removed on the first page and on pages that
+      // added results, a repeated page would count the same results twice
+      if (pagesFetched === 1 || fresh.length > 0) {
+        for (const key of ["filters", "dateFilter", "operatorFilter"]) {
+          counts[key] = this.mergeCounts(counts[key], response.metadata?.[key]);
+        }
+      }
+
+      if (pageResults.length === 0) {
+        exhausted = true;
+        break;
+      }
+
+      duplicatesAcrossPages += pageResults.length - fresh.length;
+      if (fresh.length === 0) {
+        exhausted = true; // The API is repeating itself
+        break;
+      }
+
+      const wanted = limit - collected.length;
+      collected = collected.concat(fresh.slice(0, wanted));
+      if (collected.length >= limit) {
+        const lastIndex = pageResults.indexOf(collected[collected.length - 1]);
+        nextPage =
+          lastIndex + 1 < pageResults.length
+            ? this.encodePageCursor(page, offset + lastIndex + 1)
+            : this.encodePageCursor(page + 1, 0);
+        break;
+      }
+
+      page++;
+      offset = 0;
+    }
+
+    // Stopped by MAX_AUTO_PAGES, continue where it left off
+    if (!exhausted && collected.length < limit) {
+      nextPage = this.encodePageCursor(page, 0);
+    }
+
+    // Pages are sorted one by one, the merged list needs it again
+    const results = resultProcessor.sortResults(collected, options.sort);
+
+    return {
+      ...first,
+      results: results.map((result, index) => ({ ...result, position: index + 1 })),
+      metadata: {
+        ...first.metadata,
+        ...Object.fromEntries(Object.entries(counts).filter(([, value]) => value)),
+        // A cache hit only when no page had to be fetched
+        cacheHit: cachedPages === pagesFetched,
+        ...(cachedPages > 0 && { cacheAgeMs: oldestCacheAgeMs }),
+        pagination: {
+          startPage: start.page,
+          pagesFetched,
+          cachedPages,
+          duplicatesAcrossPages,
+        },
+      },
+      nextPage,
+    };
+  }
+
+  /**
+   * Run several queries concurrently and merge their results with
+   * reciprocal rank fusion. Failed queries are reported, not fatal,
+   * unless every query failed.
+   * @param {string[]} queries - Queries to run, duplicates are dropped
+   * @param {object} options - search() options plus `concurrency` and
+   *   `perQueryLimit`; `limit` caps the fused results
+   * @param {Function} onQueryDone - Called with the number of finished queries
+   * @returns {Promise<{results: object[], queries: object[]}>}
+   */
+  async batchSearch(queries, options = {}, onQueryDone = () => {}) {
+    const {
+      concurrency = DEFAULT_BATCH_CONCURRENCY,
+      perQueryLimit = 10,
+      limit = 20,
+      ...searchOptions
+    } = options;
+
+    const seen = new Set();
+    const uniqueQueries = queries
+      .map((query) => query.trim())
+      .filter((query) => {
+        const key = query.toLowerCase();
+        if (!query || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+    const runs = new Array(uniqueQueries.length);
+    let nextIndex = 0;
+    let completed = 0;
+    const worker = async () => {
+      while (nextIndex < uniqueQueries.length) {
+        const index = nextIndex++;
+        const query = uniqueQueries[index];
+        try {
+          const response = await this.search(query, { ...searchOptions, limit: perQueryLimit });
+          runs[index] = { query, results: response.results };
+        } catch (error) {
+          if (searchOptions.signal?.aborted) throw error;
+          logger.warn("Batch query failed", { query, error: error.message });
+          runs[index] = { query, results: [], error };
+        }
+        onQueryDone(++completed);
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, uniqueQueries.length) }, worker),
+    );
+
+    if (runs.length > 0 && runs.every((run) => run.error)) {
+      throw runs[0].error;
+    }
+
+    return {
+      results: this.fuseRankings(runs).slice(0, limit).map((result, index) => ({
+        ...result,
+        position: index + 1,
+      })),
+      queries: runs.map(({ query, results, error }) => ({
+        query,
+        results: results.length,
+        ...(error && { error: error.message }),
+        ...(error?.category && { category: error.category, retryable: error.retryable }),
+      })),
+    };
+  }
+
+  /**
+   * Merge ranked result lists with reciprocal rank fusion: every list a
+   * result appears in adds 1 / (RRF_K + rank). Results the deduplicator
+   * considers the same page are merged first.
+   * @param {{query: string, results: object[]}[]} runs
+   * @returns {object[]} Results by descending rrfScore, each with the
+   *   queries that returned it and its rank there
+   */
+  fuseRankings(runs) {
+    const entries = runs.flatMap(({ query, results }) =>
+      results.map((result, index) => ({ query, result, rank: index + 1 })),
+    );
+    const { duplicates } = resultProcessor.deduplicator.deduplicate(
+      entries.map((entry) => entry.result),
+    );
+
+    // A duplicate may point at a result that was itself merged later on
+    const originals = new Map(duplicates.map(({ duplicate, original }) => [duplicate, original]));
+    const canonical = (result) => {
+      while (originals.has(result)) result = originals.get(result);
+      return result;
+    };
+
+    const fused = new Map();
+    for (const { query, result, rank } of entries) {
+      const key = canonical(result);
+      if (!fused.has(key)) {
+        fused.set(key, { ...key, rrfScore: 0, matchedQueries: [] });
+      }
+      const entry = fused.get(key);
+      // Only the best rank of a result within one query counts
+      if (entry.matchedQueries.some((match) => match.query === query)) continue;
+      entry.rrfScore += 1 / (RRF_K + rank);
+      entry.matchedQueries.push({ query, rank });
+    }
+
+    return [...fused.values()]
+      .map((entry) => ({ ...entry, rrfScore: Number(entry.rrfScore.toFixed(6)) }))
+      .sort(
+        (a, b) =>
+          b.rrfScore - a.rrfScore ||
+          Math.min(...a.matchedQueries.map((m) => m.rank)) -
+            Math.min(...b.matchedQueries.map((m) => m.rank)),
+      );
+  }
+
+  /**
+   * Add up the per-page counts of a metadata object (filters, operatorFilter,
+   * dateFilter). Numbers are summed, other values kept from the first page.
+   */
+  mergeCounts(total, page) {
+    if (!page) return total;
+    if (!total) return structuredClone(page);
+    for (const [key, value] of Object.entries(page)) {
+      if (typeof value === "number") {
+        total[key] = (total[key] || 0) + value;
+      } else if (value && typeof value === "object") {
+        total[key] = this.mergeCounts(total[key], value);
+      } else if (total[key] === undefined) {
+        total[key] = value;
+      }
+    }
+    return total;
+  }
+
+  encodePageCursor(page, offset) {
+    return Buffer.from(JSON.stringify({ page, offset })).toString("base64url");
+  }
+
+  /**
+   * Read a page number or a cursor from searchPages()
+   * @returns {{ page: number, offset: number }}
+   */
+  decodePageCursor(value) {
+    if (value === undefined || value === null || value === "") return { page: 1, offset: 0 };
+    if (Number.isInteger(Number(value)) && Number(value) >= 1) {
+      return { page: Number(value), offset: 0 };
+    }
+
+    try {
+      const { page, offset } = JSON.parse(Buffer.from(String(value), "base64url").toString());
+      if (Number.isInteger(page) && page >= 1 && Number.isInteger(offset) && offset >= 0) {
+        return { page, offset };
+      }
+    } catch {
+      // Reported below
     }
+    throw new ValidationError(`Invalid page: ${value}. Use a page number or the next_page cursor of a previous search`);
   }
 
   /**
@@ -0,0 +1,132 @@
+/**
+ * Search Operator Parser
+ * Splits a query into free terms, exact phrases and the operators
+ * `site:`, `filetype:`, `intitle:` and `inurl:`, each optionally negated
+ * with a leading minus. The query is still sent to the API unchanged;
+ * the parsed form lets ResultProcessor enforce the operators on the
+ * returned results when the engine ignores them.
+ */
+
+export const QUERY_OPERATORS = ["site", "filetype", "intitle", "inurl"];
+
+// Parsed field per operator, camelCase like the rest of the metadata
+const OPERATOR_FIELDS = {
+  site: "site",
+  filetype: "fileType",
+  intitle: "inTitle",
+  inurl: "inUrl",
+};
+
+// An optional minus, then operator:value, operator:"value", "phrase" or a bare word
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+))/gi;
+
+const emptyConstraints = () => ({
+  terms: [],
+  phrases: [],
+  site: [],
+  fileType: [],
+  inTitle: [],
+  inUrl: [],
+});
+
+const normalizeSite = (value) =>
+  value
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, "")
+    .replace(/^www\./, "")
+    .replace(/\/+$/, "");
+
+const normalizeValue = (operator, value) => {
+  if (operator === "site") return normalizeSite(value);
+  if (operator === "filetype") return value.toLowerCase().replace(/^\./, "");
+  return value.toLowerCase();
+};
+
+/**
+ * Parse the operators out of a search query
+ * @param {string} query - Raw query as the user typed it
+ * @returns {{ text: string, terms: string[], phrases: string[], site: string[],
+ *   fileType: string[], inTitle: string[], inUrl: string[], exclude: object,
+ *   hasOperators: boolean }}
+ *   `exclude` has the same lists for negated tokens; `text` is the query
+ *   without operators and exclusions
+ */
+export function parseQuery(query) {
+  const parsed = { ...emptyConstraints(), exclude: emptyConstraints() };
+  const textParts = [];
+
+  // Typographic quotes count as plain quotes
+  const source = String(query || "").replace(/[“”„]/g, '"');
+
+  for (const match of source.matchAll(TOKEN_PATTERN)) {
+    const [, minus, operatorName, quotedValue, plainValue, phrase, word] = match;
+    const target = minus ? parsed.exclude : parsed;
+    const operator = operatorName?.toLowerCase();
+
+    if (operator && OPERATOR_FIELDS[operator]) {
+      const value = normalizeValue(operator, (quotedValue ?? plainValue).trim());
+      if (value) target[OPERATOR_FIELDS[operator]].push(value);
+    } else if (phrase !== undefined) {
+      const value = phrase.trim().replace(/\s+/g, " ");
+      if (!value) continue;
+      target.phrases.push(value);
+      if (!minus) textParts.push(`"${value}"`);
+    } else {
+      // Unknown operators such as "c:d" are ordinary words
+      const value = word ?? match[0].slice(minus.length);
+      if (minus && value.length > 0) {
+        parsed.exclude.terms.push(value.toLowerCase());
+      } else {
+        parsed.terms.push(match[0]);
+        textParts.push(match[0]);
+      }
+    }
+  }
+
+  parsed.text = textParts.join(" ");
+  parsed.hasOperators =
+    parsed.phrases.length > 0 ||
+    Object.values(parsed.exclude).some((values) => values.length > 0) ||
+    QUERY_OPERATORS.some((operator) => parsed[OPERATOR_FIELDS[operator]].length > 0);
+  return parsed;
+}
+
+/**
+ * Check a site: value against a URL. "example.com" matches the domain and
+ * its subdomains, "example.com/docs" also requires the path prefix.
+ */
+export function matchesSite(url, site) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch {
+    return false;
+  }
+  const host = parsedUrl.hostname.toLowerCase().replace(/^www\./, "");
+  const [domain, ...pathParts] = site.split("/");
+  if (host !== domain && !host.endsWith(`.${domain}`)) return false;
+
+  const path = pathParts.join("/");
+  return !path || parsedUrl.pathname.toLowerCase().replace(/^\/+/, "").startsWith(path);
+}
+
+/**
+ * Check a filetype: value against the extension of a URL path
+ */
+export function matchesFileType(url, fileType) {
+  try {
+    return new URL(url).pathname.toLowerCase().endsWith(`.${fileType}`);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Case-insensitive containment; words only match as whole words
+ */
+export function containsText(haystack, needle) {
+  const text = String(haystack || "").toLowerCase().replace(/\s+/g, " ");
+  const value = needle.toLowerCase();
+  if (!/^[\w\s]+$/.test(value)) return text.includes(value);
+  return new RegExp(`\\b${value.replace(/\s+/g, "\\s+")}\\b`).test(text);
+}
@@ -0,0 +1,309 @@
+import { contentAnalyzer } from "./contentAnalysisService.js";
+import { getFocusProfile } from "./researchFocus.js";
+
+const SUMMARY_SENTENCES = 5;
+const SECTION_SENTENCES = 3;
+const HIGHLIGHT_SENTENCES = 5;
+
+export const CONFLICTS_HEADING = "Conflicting Claims";
+
+/**
+ * Research Report Builder
+ * Turns a research tree into a Markdown report with an extractive executive
+ * summary, one section per sub-topic and numbered inline citations. Titles,
+ * headings and the highlight section follow the research focus profile.
+ */
+export class ReportBuilder {
+  /**
+   * Build the report
+   * @param {string} topic - The research topic
+   * @param {object} root - Root node of the research tree ({ query, sources, subTopics })
+   * @param {Map<string, object>} pages - Scraped pages keyed by URL
+   * @param {object} profile - Research focus profile
+   * @param {Array} contradictions - Conflicting claims from ContentAnalysisService.findContradictions
+   * @returns {{ markdown: string, summary: string, bibliography: Array }}
+   */
+  build(topic, root, pages, profile = getFocusProfile(), contradictions = []) {
+    const layout = profile.report;
+    const context = {
+      pages,
+      citations: new Map(),
+      bibliography: [],
+      usedSentences: new Set(),
+    };
+
+    // The summary may restate sentences from the sections, the sections
+    // themselves never repeat one another
+    const allNodes = this.flatten(root);
+    const summary =
+      this.writeParagraph(allNodes, topic, SUMMARY_SENTENCES, context, new Set()) ||
+      "No passages relevant to the topic could be extracted from the collected sources.";
+
+    const lines = [`# ${layout.title}: ${topic}`, "", `## ${layout.summaryHeading}`, "", summary, ""];
+
+    if (layout.highlight) {
+      const highlights = this.writeHighlights(allNodes, topic, layout.highlight.pattern, context);
+      if (highlights.length > 0) {
+        lines.push(`## ${layout.highlight.heading}`, "", ...highlights, "");
+      }
+    }
+
+    const overview = this.writeParagraph([root], root.query, SECTION_SENTENCES, context);
+    if (overview) {
+      lines.push("## Overview", "", overview, "");
+    }
+
+    for (const subTopic of root.subTopics) {
+      this.writeSection(subTopic, 2, lines, context);
+    }
+
+    this.appendContradictions(lines, contradictions, context);
+    this.appendBibliography(lines, layout.sourcesHeading, context);
+
+    return {
+      markdown: lines.join("\n").trim() + "\n",
+      summary,
+      bibliography: context.bibliography,
+    };
+  }
+
+  /**
+   * Finish a report written by the client's LLM: renumber its [n] citations
+   * in order of first use, drop unknown numbers and append the bibliography
+   * @param {string} topic - The research topic
+   * @param {string} text - Markdown citing sources as [n]
+   * @param {Array<{number: number, source: object}>} numberedSources - Sources as numbered in the prompt
+   * @param {object} profile - Research focus profile
+   * @param {Array} contradictions - Conflicting claims from ContentAnalysisService.findContradictions
+   * @returns {{ markdown: string, summary: string, bibliography: Array }}
+   */
+  buildFromSynthesis(topic, text, numberedSources, profile = getFocusProfile(), contradictions = []) {
+    const layout = profile.report;
+    const context = { citations: new Map(), bibliography: [] };
+    const byNumber = new Map(numberedSources.map((s) => [s.number, s.source]));
+
+    let body = text
+      .replace(/[ \t]*\[(\d+(?:\s*,\s*\d+)*)\]/g, (match, list) => {
+        const renumbered = list
+          .split(",")
+          .map((n) => byNumber.get(Number(n)))
+          .filter(Boolean)
+          .map((source) => this.cite(source, context));
+        return renumbered.length > 0 ? ` [${[...new Set(renumbered)].join(", ")}]` : "";
+      })
+      .trim();
+
+    if (!body.startsWith("# ")) {
+      body = `# ${layout.title}: ${topic}\n\n${body}`;
+    }
+
+    const lines = [body, ""];
+    this.appendContradictions(lines, contradictions, context);
+    this.appendBibliography(lines, layout.sourcesHeading, context);
+
+    return {
+      markdown: lines.join("\n").trim() + "\n",
+      summary: this.extractSummary(body, layout.summaryHeading),
+      bibliography: context.bibliography,
+    };
+  }
+
+  /**
+   * Text of the summary section, or the first paragraph
+   */
+  extractSummary(markdown, heading = "Executive Summary") {
+    const escaped = heading.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const section = markdown.match(
+      new RegExp(`^#+\\s*${escaped}\\s*\\n+([\\s\\S]*?)(?=\\n#|(?![\\s\\S]))`, "im"),
+    );
+    if (section) return section[1].trim();
+
+    const paragraph = markdown
+      .split(/\n\s*\n/)
+      .find((block) => block.trim() && !block.trim().startsWith("#"));
+    return paragraph ? paragraph.trim() : "";
+  }
+
+  /**
+   * Write a heading and paragraph for a node, then recurse into its sub-topics
+   */
+  writeSection(node, headingLevel, lines, context) {
+    let paragraph = this.writeParagraph([node], node.query, SECTION_SENTENCES, context);
+    if (!paragraph && node.pruned) {
+      paragraph = `Not explored: the \`${node.pruned}\` research budget was reached.`;
+    } else if (!paragraph) {
+      paragraph = node.error
+        ? `This branch could not be searched: ${node.error}`
+        : "No usable passages were found for this sub-topic.";
+    }
+
+    lines.push(`${"#".repeat(Math.min(headingLevel, 6))} ${node.query}`, "", paragraph, "");
+
+    for (const child of node.subTopics) {
+      this.writeSection(child, headingLevel + 1, lines, context);
+    }
+  }
+
+  /**
+   * Pick the best unused sentences from the sources of the given nodes and
+   * join them into a cited paragraph
+   */
+  writeParagraph(nodes, query, limit, context, usedSentences = context.usedSentences) {
+    const candidates = [];
+    for (const node of nodes) {
+      for (const source of node.sources) {
+        const text = context.pages.get(source.url)?.content || source.description || "";
+        for (const ranked of contentAnalyzer.extractKeySentences(text, query, limit)) {
+          candidates.push({ ...ranked, source });
+        }
+      }
+    }
+
+    const picked = [];
+    for (const candidate of candidates.sort((a, b) => b.score - a.score)) {
+      const key = candidate.sentence.toLowerCase();
+      if (usedSentences.has(key)) continue;
+      usedSentences.add(key);
+      picked.push(candidate);
+      if (picked.length >= limit) break;
+    }
+
+    return picked
+      .map((p) => `${p.sentence} [${this.cite(p.source, context)}]`)
+      .join(" ");
+  }
+
+  /**
+   * Bullet list of on-topic sentences matching the profile's highlight pattern
+   */
+  writeHighlights(nodes, topic, pattern, context) {
+    const candidates = [];
+    for (const node of nodes) {
+      for (const source of node.sources) {
+        const text = context.pages.get(source.url)?.content || source.description || "";
+        for (const ranked of contentAnalyzer.extractKeySentences(text, topic, 20)) {
+          if (pattern.test(ranked.sentence)) candidates.push({ ...ranked, source });
+        }
+      }
+    }
+
+    const seen = new Set();
+    return candidates
+      .sort((a, b) => b.score - a.score)
+      .filter((c) => {
+        const key = c.sentence.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, HIGHLIGHT_SENTENCES)
+      .map((c) => `- ${c.sentence} [${this.cite(c.source, context)}]`);
+  }
+
+  /**
+   * Insert a "##" section before another section (usually the bibliography),
+   * or append it when that section does not exist
+   */
+  insertSection(markdown, heading, body, beforeHeading) {
+    const section = `## ${heading}\n\n${body.trim()}\n\n`;
+    const marker = `\n## ${beforeHeading}\n`;
+    const index = markdown.lastIndexOf(marker);
+
+    if (index === -1) {
+      return `${markdown.trimEnd()}\n\n${section}`;
+    }
+    return `${markdown.slice(0, index + 1)}${section}${markdown.slice(index + 1)}`;
+  }
+
+  /**
+   * Shorten a report to maxChars. The bibliography and the sections named
+   * in keepHeadings are kept whole; the summary and findings before them
+   * are cut at a sentence boundary to make room.
+   * @param {string[]} keepHeadings - "##" sections to keep, besides the bibliography
+   */
+  truncate(markdown, maxChars, sourcesHeading, keepHeadings = []) {
+    if (!maxChars || markdown.length <= maxChars) return markdown;
+
+    const note = `\n\n_Report truncated to fit the ${maxChars}-character budget._\n`;
+    const kept = new Set([sourcesHeading, ...keepHeadings]);
+    // Split into the title part and "##" sections
+    const sections = markdown.split(/\n(?=## )/);
+    const isKept = (section) => kept.has(section.slice(3).split("\n")[0].trim());
+    const body = sections.filter((section, index) => index === 0 || !isKept(section)).join("\n");
+    const tail = sections.filter((section, index) => index > 0 && isKept(section)).join("\n");
+
+    const allowed = maxChars - note.length - (tail ? tail.length + 1 : 0);
+    if (allowed <= 0) {
+      return markdown.slice(0, Math.max(0, maxChars - note.length)).trimEnd() + note;
+    }
+
+    const trimmed = `${this.cutAtSentence(body, allowed)}${note}`.trimStart();
+    return tail ? `${trimmed}\n${tail}` : trimmed;
+  }
+
+  /**
+   * Cut text to at most maxChars at the last sentence or line end, falling
+   * back to a word boundary, without leaving a heading behind empty
+   */
+  cutAtSentence(text, maxChars) {
+    if (text.length <= maxChars) return text.trimEnd();
+
+    const slice = text.slice(0, maxChars);
+    const sentence = slice.match(/^[\s\S]*(?:[.!?](?=\s)|\n)/);
+    const cut = sentence ? sentence[0] : `${slice.slice(0, maxChars - 1).replace(/\s+\S*$/, "")}…`;
+    return cut
+      .trimEnd()
+      .replace(/(^|\n+)#+[^\n]*…$/, "") // A heading cut mid-word
+      .replace(/(\n+#+ [^\n]*)+$/, "")
+      .trimEnd();
+  }
+
+  /**
+   * List the claims sources disagree on, citing the sources behind each value
+   */
+  appendContradictions(lines, contradictions, context) {
+    if (contradictions.length === 0) return;
+    lines.push(`## ${CONFLICTS_HEADING}`, "", "Sources disagree on the following points, verify them before relying on either value:", "");
+    for (const contradiction of contradictions) {
+      const values = contradiction.values.map((entry) => {
+        const numbers = entry.sources.map((source) => this.cite(source, context));
+        return `${entry.value} [${numbers.join(", ")}]`;
+      });
+      lines.push(`- **${contradiction.subject}** (${contradiction.kind}): ${values.join(" vs ")}`);
+    }
+    lines.push("");
+  }
+
+  appendBibliography(lines, heading, context) {
+    if (context.bibliography.length === 0) return;
+    lines.push(`## ${heading}`, "");
+    for (const entry of context.bibliography) {
+      lines.push(`${entry.number}. [${entry.title}](${entry.url})`);
+    }
+    lines.push("");
+  }
+
+  /**
+   * Get the citation number of a source, numbering sources in order of first use
+   */
+  cite(source, context) {
+    if (!context.citations.has(source.url)) {
+      const number = context.bibliography.length + 1;
+      context.citations.set(source.url, number);
+      context.bibliography.push({
+        number,
+        title: source.title || source.url,
+        url: source.url,
+      });
+    }
+
+    source.citation = context.citations.get(source.url);
+    return source.citation;
+  }
+
+  flatten(node) {
+    return [node, ...node.subTopics.flatMap((child) => this.flatten(child))];
+  }
+}
+
+export const reportBuilder = new ReportBuilder();
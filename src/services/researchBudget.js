@@ -0,0 +1,126 @@
+/**
+ * Research Budget
+ * Caps what a deep research session may spend: Presearch API calls, scraped
+ * pages, wall-clock time and report size. The engine asks before every step
+ * and records the branches it had to skip.
+ */
+
+export const BudgetLimits = {
+  API_CALLS: "max_api_calls",
+  PAGES: "max_pages",
+  SECONDS: "max_seconds",
+  REPORT_CHARS: "max_report_chars",
+  CREDITS: "credits",
+};
+
+export const DEFAULT_BUDGET = {
+  maxApiCalls: 30,
+  maxPages: 40,
+  maxSeconds: 600,
+  maxReportChars: 50000,
+};
+
+/**
+ * Read the budget limits from deep research tool arguments
+ */
+export function budgetFromArgs(args = {}) {
+  return {
+    maxApiCalls: args.max_api_calls,
+    maxPages: args.max_pages,
+    maxSeconds: args.max_seconds,
+    maxReportChars: args.max_report_chars,
+  };
+}
+
+export class ResearchBudget {
+  /**
+   * @param {object} limits - { maxApiCalls, maxPages, maxSeconds, maxReportChars }
+   */
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_BUDGET };
+    for (const [key, value] of Object.entries(limits)) {
+      if (Number(value) > 0) this.limits[key] = Number(value);
+    }
+
+    this.used = { apiCalls: 0, pages: 0 };
+    this.startTime = Date.now();
+    this.exhausted = new Set();
+    this.pruned = [];
+  }
+
+  elapsedSeconds() {
+    return (Date.now() - this.startTime) / 1000;
+  }
+
+  /**
+   * Reason the next search may not run, or null when it can
+   */
+  searchBlockedBy() {
+    if (this.exhausted.has(BudgetLimits.CREDITS)) return BudgetLimits.CREDITS;
+    if (this.used.apiCalls >= this.limits.maxApiCalls) return BudgetLimits.API_CALLS;
+    if (this.elapsedSeconds() >= this.limits.maxSeconds) return BudgetLimits.SECONDS;
+    return null;
+  }
+
+  useApiCall() {
+    this.used.apiCalls++;
+  }
+
+  /**
+   * Count another request of a search that was already allowed to run (a
+   * node failover or backoff retry), unless the API call budget is spent
+   * @returns {boolean} Whether the request may be sent
+   */
+  tryApiCall() {
+    if (this.used.apiCalls >= this.limits.maxApiCalls) {
+      this.exhausted.add(BudgetLimits.API_CALLS);
+      return false;
+    }
+    this.used.apiCalls++;
+    return true;
+  }
+
+  /**
+   * Reserve up to `wanted` page scrapes, returns how many may run
+   */
+  reservePages(wanted) {
+    if (this.elapsedSeconds() >= this.limits.maxSeconds) {
+      this.exhausted.add(BudgetLimits.SECONDS);
+      return 0;
+    }
+
+    const granted = Math.max(0, Math.min(wanted, this.limits.maxPages - this.used.pages));
+    if (granted < wanted) this.exhausted.add(BudgetLimits.PAGES);
+    this.used.pages += granted;
+    return granted;
+  }
+
+  /**
+   * Mark a limit as reached without waiting for the counters (e.g. the API
+   * reported that the account is out of credits)
+   */
+  exhaust(limit) {
+    this.exhausted.add(limit);
+  }
+
+  /**
+   * Record a branch that was not explored because of a limit
+   */
+  prune(query, level, limit) {
+    this.exhausted.add(limit);
+    this.pruned.push({ query, level, limit });
+  }
+
+  getSummary() {
+    return {
+      limits: this.limits,
+      used: {
+        apiCalls: this.used.apiCalls,
+        pages: this.used.pages,
+        seconds: Math.round(this.elapsedSeconds() * 10) / 10,
+      },
+      exhausted: [...this.exhausted],
+      pruned: this.pruned,
+    };
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Research focus profiles
+ * Each research_focus mode changes the queries deep research plans, which
+ * domains ResultProcessor.calculateQualityScore favours and how the report
+ * is laid out. "general" keeps the default behaviour.
+ */
+
+export const RESEARCH_FOCUS_PROFILES = {
+  general: {
+    name: "general",
+    description: "Balanced coverage of the topic from a broad range of sources.",
+    queryTemplates: [],
+    favouredDomains: [],
+    titleKeywords: [],
+    weights: { favouredDomain: 0, titleKeyword: 0, recency: 0 },
+    report: {
+      title: "Research Report",
+      summaryHeading: "Executive Summary",
+      sourcesHeading: "Sources",
+      highlight: null,
+    },
+  },
+  academic: {
+    name: "academic",
+    description:
+      "Scholarly research: prefer peer-reviewed papers, preprints, university and journal sources.",
+    queryTemplates: ["{topic} research paper", "{topic} systematic review", "{topic} study findings"],
+    favouredDomains: [
+      ".edu",
+      ".ac.uk",
+      "arxiv.org",
+      "ncbi.nlm.nih.gov",
+      "pubmed",
+      "scholar.google",
+      "semanticscholar.org",
+      "jstor.org",
+      "nature.com",
+      "science.org",
+      "sciencedirect.com",
+      "springer.com",
+      "wiley.com",
+      "ieee.org",
+      "acm.org",
+      "plos.org",
+      "researchgate.net",
+    ],
+    titleKeywords: ["study", "journal", "paper", "review", "analysis", "evidence", "proceedings"],
+    weights: { favouredDomain: 25, titleKeyword: 5, recency: 0 },
+    report: {
+      title: "Literature Review",
+      summaryHeading: "Abstract",
+      sourcesHeading: "References",
+      highlight: {
+        heading: "Key Evidence",
+        pattern: /\b(study|studies|trial|researchers|found|evidence|results|peer-reviewed|meta-analysis)\b/i,
+      },
+    },
+  },
+  market: {
+    name: "market",
+    description:
+      "Market analysis: market size, competitors, pricing, trends and forecasts from business and financial sources.",
+    queryTemplates: ["{topic} market size", "{topic} competitors", "{topic} industry trends forecast"],
+    favouredDomains: [
+      "statista.com",
+      "bloomberg.com",
+      "reuters.com",
+      "wsj.com",
+      "ft.com",
+      "cnbc.com",
+      "forbes.com",
+      "businessinsider.com",
+      "mckinsey.com",
+      "gartner.com",
+      "deloitte.com",
+      "pwc.com",
+      "investopedia.com",
+      "marketwatch.com",
+      "crunchbase.com",
+    ],
+    titleKeywords: ["market", "revenue", "share", "growth", "forecast", "competitor", "pricing", "industry"],
+    weights: { favouredDomain: 20, titleKeyword: 5, recency: 5 },
+    report: {
+      title: "Market Research Brief",
+      summaryHeading: "Key Takeaways",
+      sourcesHeading: "Sources",
+      highlight: {
+        heading: "Key Figures",
+        pattern: /(\$|€|£)\s?\d|\d[\d,.]*\s?(%|percent|billion|million|trillion|bn|m\b)/i,
+      },
+    },
+  },
+  technical: {
+    name: "technical",
+    description:
+      "Technical research: official documentation, specifications, source repositories and engineering write-ups.",
+    queryTemplates: ["{topic} documentation", "{topic} best practices", "{topic} github"],
+    favouredDomains: [
+      "github.com",
+      "gitlab.com",
+      "stackoverflow.com",
+      "developer.mozilla.org",
+      "readthedocs.io",
+      "docs.",
+      "learn.microsoft.com",
+      "developers.google.com",
+      "dev.to",
+      "ietf.org",
+      "w3.org",
+      "npmjs.com",
+      "pypi.org",
+    ],
+    titleKeywords: ["documentation", "docs", "guide", "tutorial", "reference", "api", "spec", "how to"],
+    weights: { favouredDomain: 20, titleKeyword: 5, recency: 0 },
+    report: {
+      title: "Technical Overview",
+      summaryHeading: "TL;DR",
+      sourcesHeading: "References",
+      highlight: {
+        heading: "Implementation Notes",
+        pattern: /\b(install|configure|configuration|api|version|command|function|deprecated|supports?|requires?)\b/i,
+      },
+    },
+  },
+  news: {
+    name: "news",
+    description:
+      "News coverage: recent reporting from established publishers, with dates and the latest developments first.",
+    queryTemplates: ["{topic} latest news", "{topic} announcement", "{topic} analysis"],
+    favouredDomains: [
+      "reuters.com",
+      "apnews.com",
+      "bbc.com",
+      "bbc.co.uk",
+      "theguardian.com",
+      "nytimes.com",
+      "washingtonpost.com",
+      "bloomberg.com",
+      "npr.org",
+      "aljazeera.com",
+      "cnn.com",
+      "ft.com",
+      "wsj.com",
+      "theverge.com",
+      "techcrunch.com",
+      "arstechnica.com",
+    ],
+    titleKeywords: ["news", "announces", "announced", "report", "breaking", "update", "launch"],
+    weights: { favouredDomain: 20, titleKeyword: 3, recency: 25 },
+    report: {
+      title: "News Briefing",
+      summaryHeading: "Headlines",
+      sourcesHeading: "Sources",
+      highlight: {
+        heading: "Timeline",
+        pattern: /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{1,2}\b|\b(19|20)\d{2}\b|\b(yesterday|today|this week|on (monday|tuesday|wednesday|thursday|friday|saturday|sunday))\b/i,
+      },
+    },
+  },
+};
+
+export const RESEARCH_FOCUS_MODES = Object.keys(RESEARCH_FOCUS_PROFILES);
+
+/**
+ * Get the profile of a focus mode, falling back to "general"
+ * @param {string} focus
+ */
+export function getFocusProfile(focus) {
+  return RESEARCH_FOCUS_PROFILES[focus] || RESEARCH_FOCUS_PROFILES.general;
+}
+
+/**
+ * Check whether a domain matches one of the profile's favoured domains.
+ * Entries starting with "." match a suffix (TLD), others match anywhere.
+ */
+export function isFavouredDomain(domain, profile) {
+  if (!domain) return false;
+  const host = domain.toLowerCase();
+  return profile.favouredDomains.some((favoured) =>
+    favoured.startsWith(".") ? host.endsWith(favoured) : host.includes(favoured),
+  );
+}
@@ -0,0 +1,199 @@
+import { randomUUID } from "crypto";
+import logger from "../core/logger.js";
+import { RateLimitError } from "../utils/errors.js";
+import { researchService } from "./researchService.js";
+import { reportBuilder } from "./reportBuilder.js";
+import { getFocusProfile } from "./researchFocus.js";
+
+export const JobStatus = {
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+const MAX_JOBS = 50; // Finished jobs beyond this are forgotten, oldest first
+export const MAX_RUNNING_JOBS = 5; // New jobs are rejected while this many run
+
+/**
+ * Research Job Manager
+ * Runs deep research in the background so clients can poll for status and
+ * results instead of holding a tool call open past its timeout.
+ */
+export class ResearchJobManager {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Start a research job
+   * @param {string} topic - The research topic
+   * @param {object} options - Research options passed to researchService.research
+   * @returns {object} The job snapshot
+   * @throws {RateLimitError} When MAX_RUNNING_JOBS jobs are already running
+   */
+  start(topic, options = {}) {
+    this.assertCanStart();
+    const controller = new AbortController();
+    const job = {
+      id: randomUUID(),
+      topic,
+      options: {
+        depth: options.depth,
+        breadth: options.breadth,
+        focus: options.focus,
+        location: options.location,
+        clarifications: options.clarifications,
+        budget: options.budget,
+      },
+      status: JobStatus.RUNNING,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      progress: { stage: "starting", stats: {} },
+      root: null,
+      pages: new Map(),
+      result: null,
+      error: null,
+      controller,
+    };
+
+    this.jobs.set(job.id, job);
+    this.prune();
+
+    job.promise = researchService
+      .research(topic, {
+        ...options,
+        signal: controller.signal,
+        onProgress: (progress) => {
+          job.progress = { stage: progress.stage, query: progress.query, stats: progress.stats };
+          job.root = progress.root;
+          job.pages = progress.pages;
+          job.updatedAt = new Date().toISOString();
+        },
+      })
+      .then((result) => {
+        if (job.status !== JobStatus.RUNNING) return;
+        job.result = result;
+        job.status = JobStatus.COMPLETED;
+        job.progress = { stage: "completed", stats: result.stats };
+      })
+      .catch((error) => {
+        if (job.status !== JobStatus.RUNNING) return;
+        job.status = error.name === "AbortError" ? JobStatus.CANCELLED : JobStatus.FAILED;
+        job.error = error.message;
+        // Category, retryable and hint of failed searches
+        if (typeof error.toJSON === "function") job.errorDetails = error.toJSON();
+        logger.warn("Research job ended early", { jobId: job.id, status: job.status, error: error.message });
+      })
+      .finally(() => {
+        job.updatedAt = new Date().toISOString();
+        job.controller = null;
+      });
+
+    logger.info("Research job started", { jobId: job.id, topic });
+    return this.getStatus(job.id);
+  }
+
+  /**
+   * Running jobs are never pruned, so their number is capped instead
+   * @throws {RateLimitError} When MAX_RUNNING_JOBS jobs are already running
+   */
+  assertCanStart() {
+    let running = 0;
+    for (const job of this.jobs.values()) {
+      if (job.status === JobStatus.RUNNING) running++;
+    }
+    if (running >= MAX_RUNNING_JOBS) {
+      throw new RateLimitError(
+        `${MAX_RUNNING_JOBS} research jobs are already running. ` +
+          "Wait for one to finish or cancel one with presearch_research_cancel.",
+      );
+    }
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  list() {
+    return [...this.jobs.values()].map((job) => this.getStatus(job.id));
+  }
+
+  /**
+   * Status snapshot without the report
+   */
+  getStatus(jobId) {
+    const job = this.get(jobId);
+    if (!job) return null;
+
+    return {
+      jobId: job.id,
+      topic: job.topic,
+      status: job.status,
+      options: job.options,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      resourceUri: `presearch://research/${job.id}`,
+      ...(job.error && { error: job.error }),
+      ...(job.errorDetails && { errorDetails: job.errorDetails }),
+    };
+  }
+
+  /**
+   * Final report when completed, otherwise a partial report rendered from the
+   * branches explored so far
+   */
+  getResult(jobId) {
+    const job = this.get(jobId);
+    if (!job) return null;
+
+    if (job.result) {
+      return { ...this.getStatus(jobId), partial: false, report: job.result };
+    }
+
+    let partialReport = null;
+    if (job.root) {
+      // Same layout as the final report
+      const written = reportBuilder.build(job.topic, job.root, job.pages, getFocusProfile(job.options.focus));
+      partialReport = {
+        topic: job.topic,
+        summary: written.summary,
+        report: written.markdown,
+        bibliography: written.bibliography,
+        sources: job.root.sources,
+        subTopics: job.root.subTopics,
+      };
+    }
+
+    return { ...this.getStatus(jobId), partial: true, report: partialReport };
+  }
+
+  /**
+   * Cancel a running job. Returns false when the job is unknown or finished.
+   */
+  cancel(jobId) {
+    const job = this.get(jobId);
+    if (!job || job.status !== JobStatus.RUNNING) return false;
+
+    job.status = JobStatus.CANCELLED;
+    job.error = "Cancelled by client";
+    job.updatedAt = new Date().toISOString();
+    job.controller?.abort();
+    logger.info("Research job cancelled", { jobId });
+    return true;
+  }
+
+  /**
+   * Forget the oldest finished jobs once there are too many
+   */
+  prune() {
+    if (this.jobs.size <= MAX_JOBS) return;
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size <= MAX_JOBS) break;
+      if (job.status !== JobStatus.RUNNING) this.jobs.delete(id);
+    }
+  }
+}
+
+export const researchJobs = new ResearchJobManager();
@@ -0,0 +1,579 @@
+import { randomUUID } from "crypto";
+import logger from "../core/logger.js";
+import { presearchService } from "./presearchService.js";
+import { contentFetcher } from "./contentFetcher.js";
+import { contentAnalyzer } from "./contentAnalysisService.js";
+import { reportBuilder, CONFLICTS_HEADING } from "./reportBuilder.js";
+import { samplingService } from "./samplingService.js";
+import { getFocusProfile } from "./researchFocus.js";
+import { ResearchBudget, BudgetLimits } from "./researchBudget.js";
+import { clarificationService } from "./clarificationService.js";
+import { DEFAULT_RESEARCH_BREADTH } from "../utils/schemas.js";
+
+const MAX_DEPTH = 3;
+const MAX_BREADTH = 5;
+const PAGES_PER_NODE = 2; // Scraped pages per query, the rest are kept as search snippets
+const EXCERPT_LENGTH = 500;
+const MAX_SESSIONS = 20; // Finished sessions kept for extension
+
+const LIMITS_HEADING = "Research Limits";
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Deep Research Service
+ * Recursively explores a topic: every level searches, scrapes the best new
+ * sources and derives follow-up queries for the next level from what it read.
+ * When the client supports sampling its LLM plans the queries and writes the
+ * report, otherwise keyword heuristics and extractive summaries are used.
+ */
+export class ResearchService {
+  constructor() {
+    // Finished sessions that can be extended, oldest first
+    this.sessions = new Map();
+  }
+
+  /**
+   * Run a research session
+   * @param {string} topic - The research topic
+   * @param {object} options - { depth, breadth, focus, location, clarifications, budget, apiKey, server, signal, onProgress }
+   *   clarifications: { timePeriod, timeRange, angle } answered by the user through elicitation
+   *   budget: { maxApiCalls, maxPages, maxSeconds, maxReportChars }
+   */
+  async research(topic, options = {}) {
+    const depth = clamp(Number(options.depth) || 2, 1, MAX_DEPTH);
+    const breadth = clamp(Number(options.breadth) || DEFAULT_RESEARCH_BREADTH, 1, MAX_BREADTH);
+    const state = this.createState(topic, options);
+
+    logger.info("Starting deep research", { topic, depth, breadth, focus: state.focus.name });
+    const rootQuery = clarificationService.refineQuery(topic, state.clarifications);
+    const root = await this.exploreNode(rootQuery, 1, depth, breadth, state);
+
+    const session = {
+      id: randomUUID(),
+      topic,
+      depth,
+      breadth,
+      options: {
+        focus: state.focus.name,
+        location: state.location,
+        clarifications: state.clarifications,
+      },
+      root,
+      pages: state.pages,
+      stats: state.stats,
+      extensions: [],
+    };
+    const report = await this.finishReport(session, state);
+
+    logger.info("Deep research complete", { topic, ...report.stats });
+    return report;
+  }
+
+  /**
+   * Continue a finished session: research one of its sub-topics deeper or
+   * add a new angle. Sources and scraped pages already collected are reused,
+   * the new branches are merged into the tree and the report is rewritten
+   * over the whole tree with a single bibliography.
+   * @param {string} researchId - researchId of the earlier report
+   * @param {object} options - { subTopic, angle, depth, breadth, budget, apiKey, server, signal, onProgress }
+   */
+  async extend(researchId, options = {}) {
+    const session = this.getSession(researchId);
+    if (!session) throw new Error(`Research not found: ${researchId}`);
+
+    const depth = clamp(Number(options.depth) || 1, 1, MAX_DEPTH - 1);
+    const breadth = clamp(Number(options.breadth) || DEFAULT_RESEARCH_BREADTH, 1, MAX_BREADTH);
+    const state = this.createState(session.topic, { ...options, ...session.options });
+    state.root = session.root;
+    state.pages = session.pages;
+    state.stats = session.stats;
+    for (const node of reportBuilder.flatten(session.root)) {
+      state.seenQueries.add(node.query.toLowerCase());
+      node.sources.forEach((source) => state.visitedUrls.add(source.url));
+    }
+
+    const before = { queries: state.stats.queries, sources: state.visitedUrls.size };
+    let extension;
+    if (options.subTopic) {
+      const node = this.findNode(session.root, options.subTopic);
+      if (!node) throw new Error(`Sub-topic not found in research ${researchId}: ${options.subTopic}`);
+      logger.info("Extending research deeper", { researchId, subTopic: node.query, depth });
+      await this.expandNode(node, depth, breadth, state);
+      extension = { subTopic: node.query };
+    } else if (options.angle) {
+      const query = options.angle.toLowerCase().includes(session.topic.toLowerCase())
+        ? options.angle
+        : `${session.topic} ${options.angle}`;
+      logger.info("Extending research with a new angle", { researchId, query, depth });
+      session.root.subTopics.push(await this.exploreNode(query, 2, 1 + depth, breadth, state));
+      extension = { angle: query };
+    } else {
+      throw new Error("Either a sub-topic or an angle is required to extend research");
+    }
+
+    session.extensions.push({
+      ...extension,
+      depth,
+      queries: state.stats.queries - before.queries,
+      newSources: state.visitedUrls.size - before.sources,
+      extendedAt: new Date().toISOString(),
+    });
+    return this.finishReport(session, state);
+  }
+
+  createState(topic, options) {
+    return {
+      topic,
+      focus: getFocusProfile(options.focus),
+      location: options.location,
+      clarifications: options.clarifications,
+      budget: new ResearchBudget(options.budget),
+      apiKey: options.apiKey,
+      visitedUrls: new Set(),
+      seenQueries: new Set(),
+      pages: new Map(),
+      sampler: samplingService.isAvailable(options.server) ? options.server : null,
+      engine: { planning: "heuristic", synthesis: "heuristic" },
+      signal: options.signal,
+      onProgress: options.onProgress,
+      root: null,
+      stats: { queries: 0, pagesScraped: 0, failedScrapes: 0 },
+      queriesCompleted: 0,
+      startTime: Date.now(),
+    };
+  }
+
+  /**
+   * Write the report over the session's tree and keep the session for
+   * later extension
+   */
+  async finishReport(session, state) {
+    const root = session.root;
+    this.checkAborted(state);
+    this.reportProgress(state, "writing");
+    const contradictions = this.findContradictions(root, state);
+    const written = await this.writeReport(root, contradictions, state);
+    let markdown = this.addBudgetSection(written.markdown, state);
+    const maxChars = state.budget.limits.maxReportChars;
+    if (markdown.length > maxChars) {
+      // Listed in the limits section, which therefore is rendered again
+      state.budget.exhaust(BudgetLimits.REPORT_CHARS);
+      markdown = reportBuilder.truncate(
+        this.addBudgetSection(written.markdown, state),
+        maxChars,
+        state.focus.report.sourcesHeading,
+        [LIMITS_HEADING, CONFLICTS_HEADING],
+      );
+    }
+
+    this.saveSession(session);
+
+    return {
+      researchId: session.id,
+      topic: session.topic,
+      depth: session.depth,
+      breadth: session.breadth,
+      focus: state.focus.name,
+      ...(state.location && { location: state.location }),
+      ...(state.clarifications && { clarifications: state.clarifications }),
+      ...(session.extensions.length > 0 && { extensions: session.extensions }),
+      summary: written.summary,
+      report: markdown,
+      bibliography: written.bibliography,
+      contradictions,
+      sources: root.sources,
+      subTopics: root.subTopics,
+      engine: state.engine,
+      budget: state.budget.getSummary(),
+      stats: {
+        ...state.stats,
+        sources: state.visitedUrls.size,
+        durationMs: Date.now() - state.startTime,
+      },
+    };
+  }
+
+  getSession(researchId) {
+    return this.sessions.get(researchId) || null;
+  }
+
+  saveSession(session) {
+    // Re-insert so the most recently used sessions are dropped last
+    this.sessions.delete(session.id);
+    this.sessions.set(session.id, session);
+    while (this.sessions.size > MAX_SESSIONS) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+
+  /**
+   * Find a node by its query, exact match first, then the first containing it
+   */
+  findNode(root, query) {
+    const wanted = query.trim().toLowerCase();
+    const nodes = reportBuilder.flatten(root);
+    return (
+      nodes.find((node) => node.query.toLowerCase() === wanted) ||
+      nodes.find((node) => node.query.toLowerCase().includes(wanted)) ||
+      null
+    );
+  }
+
+  /**
+   * Add levels below an explored node, planning from the sources and pages
+   * it already has. Nodes that were pruned or failed are searched again.
+   */
+  async expandNode(node, depth, breadth, state) {
+    if (node.sources.length === 0) {
+      const fresh = await this.exploreNode(node.query, node.level, node.level + depth, breadth, state);
+      delete node.pruned;
+      delete node.error;
+      Object.assign(node, fresh);
+      return;
+    }
+
+    const pages = node.sources.map((source) => state.pages.get(source.url)).filter(Boolean);
+    const followUps = await this.planFollowUps(node.query, node.level, node.sources, pages, breadth, state);
+    const childBreadth = Math.max(1, Math.ceil(breadth / 2));
+
+    for (const followUp of followUps) {
+      node.subTopics.push(
+        await this.exploreNode(followUp, node.level + 1, node.level + depth, childBreadth, state),
+      );
+    }
+  }
+
+  /**
+   * Search one query, scrape its best unseen sources and recurse into
+   * follow-up queries until the maximum depth is reached
+   */
+  async exploreNode(query, level, maxDepth, breadth, state) {
+    this.checkAborted(state);
+    state.seenQueries.add(query.toLowerCase());
+
+    const node = { query, level, sources: [], subTopics: [] };
+
+    // The root always runs, deeper branches only while the budget allows
+    const blockedBy = level > 1 ? state.budget.searchBlockedBy() : null;
+    if (blockedBy) {
+      state.budget.prune(query, level, blockedBy);
+      node.pruned = blockedBy;
+      return node;
+    }
+
+    state.stats.queries++;
+    if (level === 1) state.root = node;
+    this.reportProgress(state, "searching", query);
+
+    let searchResults;
+    try {
+      searchResults = await presearchService.search(query, {
+        limit: breadth * 3,
+        apiKey: state.apiKey,
+        signal: state.signal,
+        budget: state.budget,
+        ...(state.location && { country: state.location }),
+        ...(state.focus.name !== "general" && { research_focus: state.focus.name }),
+        ...(state.clarifications?.timeRange && { time_range: state.clarifications.timeRange }),
+      });
+    } catch (error) {
+      this.checkAborted(state);
+      state.queriesCompleted++;
+      if (error.status === 402) {
+        // Out of credits, every further search would fail the same way
+        state.budget.exhaust(BudgetLimits.CREDITS);
+      }
+      // Without the root search there is nothing to research
+      if (level === 1) throw error;
+      logger.warn("Research branch search failed", { query, error: error.message });
+      node.error = error.message;
+      return node;
+    }
+
+    state.queriesCompleted++;
+    let results = searchResults.results || [];
+    if (state.focus.name !== "general") {
+      // Focus modes rank by the focus-weighted quality score instead of engine order
+      results = [...results].sort((a, b) => (b.qualityScore || 0) - (a.qualityScore || 0));
+    }
+    const candidates = results
+      .filter((r) => r.url && !state.visitedUrls.has(r.url))
+      .slice(0, breadth);
+    candidates.forEach((r) => state.visitedUrls.add(r.url));
+
+    const pageCount = state.budget.reservePages(Math.min(PAGES_PER_NODE, candidates.length));
+    const pages = await Promise.all(
+      candidates
+        .slice(0, pageCount)
+        .map((r) => contentFetcher.fetchContent(r.url, { signal: state.signal })),
+    );
+
+    node.sources = candidates.map((result, index) =>
+      this.toSource(result, pages[index], state),
+    );
+    this.reportProgress(state, "scraped", query);
+
+    if (level < maxDepth) {
+      // Once the budget is spent only name the branches that are skipped,
+      // without asking the client's LLM to plan them
+      const followUps = state.budget.searchBlockedBy()
+        ? this.deriveFollowUpQueries(query, results, pages, breadth, state)
+        : await this.planFollowUps(query, level, results, pages, breadth, state);
+      const childBreadth = Math.max(1, Math.ceil(breadth / 2));
+
+      for (const followUp of followUps) {
+        node.subTopics.push(
+          await this.exploreNode(followUp, level + 1, maxDepth, childBreadth, state),
+        );
+      }
+    }
+
+    return node;
+  }
+
+  /**
+   * Stop between steps once the caller has cancelled the session
+   */
+  checkAborted(state) {
+    if (state.signal?.aborted) {
+      const error = new Error("Research cancelled");
+      error.name = "AbortError";
+      throw error;
+    }
+  }
+
+  /**
+   * Tell the caller where the session is. The root node is shared, so the
+   * callback can render a partial report from the branches explored so far.
+   */
+  reportProgress(state, stage, query) {
+    if (!state.onProgress) return;
+    try {
+      state.onProgress({
+        stage,
+        query,
+        queriesCompleted: state.queriesCompleted,
+        stats: { ...state.stats, sources: state.visitedUrls.size },
+        root: state.root,
+        pages: state.pages,
+      });
+    } catch (error) {
+      logger.warn("Research progress callback failed", { error: error.message });
+    }
+  }
+
+  /**
+   * Plan the next level's queries, asking the client's LLM when sampling is
+   * available: sub-questions of the topic at the root, follow-ups below it
+   */
+  async planFollowUps(query, level, results, pages, count, state) {
+    if (state.sampler) {
+      try {
+        const planned =
+          level === 1
+            ? await samplingService.planSubQuestions(state.sampler, state.topic, count, {
+                signal: state.signal,
+                focus: state.focus,
+                clarifications: state.clarifications,
+              })
+            : await samplingService.chooseFollowUps(
+                state.sampler,
+                state.topic,
+                query,
+                this.toFindings(results, pages, count * 2),
+                count,
+                { signal: state.signal, focus: state.focus, clarifications: state.clarifications },
+              );
+
+        const fresh = planned.filter((q) => !state.seenQueries.has(q.toLowerCase()));
+        if (fresh.length > 0) {
+          state.engine.planning = "sampling";
+          return fresh;
+        }
+      } catch (error) {
+        this.checkAborted(state);
+        // A declined or failed request is unlikely to succeed later in the session
+        logger.warn("Sampling failed, falling back to heuristic planning", { error: error.message });
+        state.sampler = null;
+      }
+    }
+
+    const templated = level === 1 ? this.applyQueryTemplates(count, state) : [];
+    const derived = this.deriveFollowUpQueries(query, results, pages, count - templated.length, state);
+    return [...templated, ...derived];
+  }
+
+  /**
+   * Queries from the focus profile's templates that have not been run yet
+   */
+  applyQueryTemplates(count, state) {
+    return state.focus.queryTemplates
+      .map((template) => template.replace("{topic}", state.topic))
+      .filter((q) => !state.seenQueries.has(q.toLowerCase()))
+      .slice(0, count);
+  }
+
+  /**
+   * Build follow-up queries from the terms that dominate a node's results
+   * and scraped pages but are not already part of the query
+   */
+  deriveFollowUpQueries(query, results, pages, count, state) {
+    const text = [
+      ...results.map((r) => `${r.title} ${r.description || ""}`),
+      ...pages.filter((p) => p?.content).map((p) => p.content),
+    ].join(" ");
+
+    const exclude = `${state.topic} ${query}`.toLowerCase().split(/\s+/);
+    const terms = contentAnalyzer.extractKeyTerms(text, {
+      exclude,
+      limit: count * 3,
+    });
+
+    const followUps = [];
+    if (count <= 0) return followUps;
+    for (const term of terms) {
+      const candidate = `${query} ${term}`;
+      if (!state.seenQueries.has(candidate.toLowerCase())) {
+        followUps.push(candidate);
+      }
+      if (followUps.length >= count) break;
+    }
+
+    return followUps;
+  }
+
+  /**
+   * Write the report through sampling when available, extractively otherwise
+   */
+  async writeReport(root, contradictions, state) {
+    if (state.sampler) {
+      try {
+        const numbered = this.collectSources(root)
+          .map((source) => ({
+            title: source.title,
+            url: source.url,
+            text: state.pages.get(source.url)?.content || source.description || "",
+            source,
+          }))
+          .filter((s) => s.text)
+          .map((s, index) => ({ ...s, number: index + 1 }));
+
+        const text = await samplingService.writeSynthesis(
+          state.sampler,
+          state.topic,
+          root.subTopics.map((node) => node.query),
+          numbered,
+          { signal: state.signal, focus: state.focus, clarifications: state.clarifications },
+        );
+        state.engine.synthesis = "sampling";
+        return reportBuilder.buildFromSynthesis(state.topic, text, numbered, state.focus, contradictions);
+      } catch (error) {
+        this.checkAborted(state);
+        logger.warn("Sampling failed, falling back to extractive report", { error: error.message });
+      }
+    }
+
+    return reportBuilder.build(state.topic, root, state.pages, state.focus, contradictions);
+  }
+
+  /**
+   * Compare the numbers, dates and named facts stated by the collected
+   * sources (scraped content, or the snippet when a page was not scraped)
+   */
+  findContradictions(root, state) {
+    const seen = new Set();
+    const documents = this.collectSources(root)
+      .filter((source) => !seen.has(source.url) && seen.add(source.url))
+      .map((source) => ({
+        source,
+        text: state.pages.get(source.url)?.content || source.description || "",
+      }));
+
+    const contradictions = contentAnalyzer.findContradictions(documents);
+    if (contradictions.length > 0) {
+      logger.info("Sources disagree", { topic: state.topic, contradictions: contradictions.length });
+    }
+    return contradictions;
+  }
+
+  /**
+   * Add a section explaining which budgets stopped the session early and
+   * which branches were pruned because of them
+   */
+  addBudgetSection(markdown, state) {
+    const summary = state.budget.getSummary();
+    if (summary.exhausted.length === 0) return markdown;
+
+    const describe = {
+      [BudgetLimits.API_CALLS]: `${summary.limits.maxApiCalls} Presearch API calls`,
+      [BudgetLimits.PAGES]: `${summary.limits.maxPages} scraped pages, remaining sources are search snippets only`,
+      [BudgetLimits.SECONDS]: `${summary.limits.maxSeconds} seconds`,
+      [BudgetLimits.CREDITS]: "Presearch API credits (402 Payment Required)",
+      [BudgetLimits.REPORT_CHARS]: `${summary.limits.maxReportChars} report characters, the summary and findings were shortened`,
+    };
+
+    const lines = [
+      "Research stopped early because these budgets were reached:",
+      "",
+      ...summary.exhausted.map((limit) => `- \`${limit}\`: ${describe[limit] || limit}`),
+    ];
+    if (summary.pruned.length > 0) {
+      lines.push("", "Branches not explored:", "");
+      lines.push(...summary.pruned.map((p) => `- ${p.query} (level ${p.level}, \`${p.limit}\`)`));
+    }
+
+    return reportBuilder.insertSection(
+      markdown,
+      LIMITS_HEADING,
+      lines.join("\n"),
+      state.focus.report.sourcesHeading,
+    );
+  }
+
+  /**
+   * Condense results into findings, preferring scraped text over snippets
+   */
+  toFindings(results, pages, limit) {
+    return results.slice(0, limit).map((result) => ({
+      title: result.title,
+      url: result.url,
+      text:
+        pages.find((p) => p?.url === result.url)?.content ||
+        result.description ||
+        "",
+    }));
+  }
+
+  collectSources(node) {
+    return [...node.sources, ...node.subTopics.flatMap((child) => this.collectSources(child))];
+  }
+
+  /**
+   * Convert a search result and its optional scraped page into a report source
+   */
+  toSource(result, page, state) {
+    const source = {
+      title: result.title,
+      url: result.url,
+      description: result.description,
+      domain: result.domain,
+      qualityScore: result.qualityScore,
+      scraped: false,
+    };
+
+    if (page?.content) {
+      state.pages.set(result.url, page);
+      state.stats.pagesScraped++;
+      source.scraped = true;
+      source.excerpt = page.content.substring(0, EXCERPT_LENGTH);
+    } else if (page?.error) {
+      state.stats.failedScrapes++;
+      source.scrapeError = page.error;
+    }
+
+    return source;
+  }
+}
+
+export const researchService = new ResearchService();
@@ -5,6 +5,10 @@
  */
 
 import logger from "../core/logger.js";
+import { getConfig } from "../core/config.js";
+import { MemoryCacheStore, createCacheStore } from "../core/cacheStore.js";
+import { getFocusProfile, isFavouredDomain } from "./researchFocus.js";
+import { matchesSite, matchesFileType, containsText } from "./queryParser.js";
 
 /**
  * Error categories for detailed error tracking
@@ -26,6 +30,113 @@ export const DESCRIPTIVE_WORDS = [
   "analysis",
 ];
 
+// Maximum age in days per time_range / freshness value
+export const TIME_RANGE_DAYS = {
+  day: 1,
+  week: 7,
+  month: 31,
+  year: 366,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELATIVE_DATE_UNITS = {
+  minute: 1 / 1440,
+  hour: 1 / 24,
+  day: 1,
+  week: 7,
+  month: 30,
+  year: 365,
+};
+
+// Categories assigned by categorizeContent(); filters also accept the part before the dash
+export const CONTENT_CATEGORIES = [
+  "technology-ai",
+  "technology-programming",
+  "technology-blockchain",
+  "science-physics",
+  "science-biology",
+  "science-chemistry",
+  "business-general",
+  "business-marketing",
+  "business-finance",
+  "health-general",
+  "health-fitness",
+  "education-general",
+  "education-academic",
+  "news-general",
+  "news-politics",
+  "entertainment-movies",
+  "entertainment-music",
+  "entertainment-gaming",
+  "general",
+];
+
+// Result orders for params.sort; relevance keeps the engine's order
+export const SORT_MODES = ["relevance", "quality", "recency"];
+
+// Response sections besides the standard results, as named in tool output
+export const RESPONSE_SECTIONS = [
+  "info_box",
+  "top_stories",
+  "videos",
+  "related_searches",
+  "images",
+  "special_answers",
+];
+
+// Where each section may appear in an API response, top level or under specialSections
+const SECTION_SOURCES = {
+  info_box: ["infoSection", "infoBox", "knowledgeGraph"],
+  top_stories: ["topStories", "news"],
+  videos: ["videos"],
+  related_searches: ["relatedSearches", "related"],
+  images: ["images"],
+  special_answers: ["answerBox", "directAnswer", "calculator", "currency", "weather", "definition", "conversion"],
+};
+
+// Quality bonus for results showing every "exact phrase" of the query
+const PHRASE_MATCH_BONUS = 15;
+
+// Snippet tags search engines use to highlight the query terms
+const HIGHLIGHT_TAGS = new Set(["em", "b", "strong", "mark"]);
+// Markup tags that separate words, read as a space
+const BREAK_TAGS = new Set(["br", "p", "div"]);
+// Markup the API emits in titles and snippets; any other <word> is literal text
+const MARKUP_TAG = new RegExp(
+  `(</?(?:${[...HIGHLIGHT_TAGS, ...BREAK_TAGS, "span", "i", "u", "a", "sup", "sub", "small"].join("|")})\\b[^<>]*>)`,
+  "i",
+);
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  hellip: "…",
+  mdash: "—",
+  ndash: "–",
+  middot: "·",
+  rsquo: "’",
+  lsquo: "‘",
+  rdquo: "”",
+  ldquo: "“",
+};
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+
+// Date prefixes search engines put in front of snippets
+const SNIPPET_DATE_PATTERN =
+  /^(?:[a-z]{3,9}\.? \d{1,2}, \d{4}|\d{1,2} [a-z]{3,9}\.? \d{4}|\d{4}-\d{2}-\d{2}|(?:\d+|an?) (?:minute|hour|day|week|month|year)s? ago|yesterday|today)$/i;
+
 // Penalty for generic titles (0-5 points)
 export const GENERIC_TITLES = [
   "home",
@@ -103,8 +214,27 @@ export const ErrorCategories = {
   TIMEOUT_ERROR: "TIMEOUT_ERROR",
   AUTHENTICATION_ERROR: "AUTHENTICATION_ERROR",
   CONFIGURATION_ERROR: "CONFIGURATION_ERROR",
+  PAYMENT_REQUIRED: "PAYMENT_REQUIRED",
+  CIRCUIT_OPEN: "CIRCUIT_OPEN",
 };
 
+// What an agent should do about each error category
+export const ERROR_HINTS = {
+  API_ERROR: "The Presearch API rejected or failed the request. Retry later if retryable, otherwise check the query parameters.",
+  NETWORK_ERROR: "The Presearch API is unreachable. Retry in a moment; an empty result set would not mean the topic has no coverage.",
+  SOURCE_ERROR: "The search failed while processing results. Retry once; if it keeps failing report the error instead of concluding there are no results.",
+  VALIDATION_ERROR: "Fix the arguments named in the error and search again.",
+  RATE_LIMIT_ERROR: "Too many requests. Wait retry_after_seconds (or a minute) before searching again and batch queries with presearch_batch_search.",
+  TIMEOUT_ERROR: "The Presearch API did not answer in time. Retry, possibly with a simpler query or fewer results.",
+  AUTHENTICATION_ERROR: "The Presearch API key is missing or invalid. Ask the user to check PRESEARCH_API_KEY; retrying will not help.",
+  CONFIGURATION_ERROR: "The server is misconfigured. Ask the user to check the server configuration; retrying will not help.",
+  PAYMENT_REQUIRED: "The Presearch account is out of credits. Ask the user to top up at https://presearch.com/account/tokens; retrying will not help.",
+  CIRCUIT_OPEN: "Searches are paused after repeated failures. Wait retry_after_seconds before searching again.",
+};
+
+const DEFAULT_CACHE_MAX_BYTES = 50 * 1024 * 1024; // Approximate, measured as serialized JSON
+const DEFAULT_CACHE_SWEEP_INTERVAL = 60000;
+
 /**
  * Circuit breaker states
  */
@@ -125,6 +255,11 @@ export class ResultProcessorConfig {
     this.circuitBreakerThreshold = options.circuitBreakerThreshold || 5;
     this.circuitBreakerTimeout = options.circuitBreakerTimeout || 60000;
     this.cacheTimeout = options.cacheTimeout || 300000; // 5 minutes
+    this.cacheMaxSize = options.cacheMaxSize || 1000;
+    this.cacheMaxBytes = options.cacheMaxBytes || DEFAULT_CACHE_MAX_BYTES;
+    this.cacheStaleWindow = options.cacheStaleWindow || 0;
+    this.cacheEnabled = options.cacheEnabled !== false;
+    this.cacheStore = options.cacheStore;
     this.enableMetrics = options.enableMetrics !== false;
   }
 }
@@ -357,7 +492,11 @@ export class ResultDeduplicator {
 
     // Early return for empty results
     if (!results || results.length === 0) {
-      return { unique: [], duplicates: [] };
+      return {
+        results: [],
+        duplicates: [],
+        metrics: { originalCount: 0, uniqueCount: 0, duplicateCount: 0, deduplicationRatio: 0 },
+      };
     }
 
     // Precompute vectors for performance (O(n))
@@ -470,17 +609,51 @@ export class ResultDeduplicator {
 export class ErrorCategorizer {
   /**
    * Categorize an error
+   * @returns {{ category: string, severity: string, retryable: boolean,
+   *   message: string, hint: string, details: object }}
+   *   details.retryAfter is in seconds when known
    */
   categorizeError(error) {
+    const categorized = this.classifyError(error);
+    return { ...categorized, hint: ERROR_HINTS[categorized.category] };
+  }
+
+  classifyError(error) {
     const errorMessage = error.message || error.toString();
+    const lowerMessage = errorMessage.toLowerCase();
     const errorStack = error.stack || "";
 
+    // Searches paused by the circuit breaker
+    if (error.code === ErrorCategories.CIRCUIT_OPEN) {
+      return {
+        category: ErrorCategories.CIRCUIT_OPEN,
+        severity: "high",
+        retryable: true,
+        message: "Search temporarily unavailable",
+        details: { errorMessage, retryAfter: error.retryAfter },
+      };
+    }
+
+    // Out of credits
+    if (error.status === 402 || error.response?.status === 402) {
+      return {
+        category: ErrorCategories.PAYMENT_REQUIRED,
+        severity: "high",
+        retryable: false,
+        message: "Insufficient Presearch credits",
+        details: { status: 402, errorMessage },
+      };
+    }
+
     // Rate limit errors
     if (
-      errorMessage.includes("rate limit") ||
+      lowerMessage.includes("rate limit") ||
       errorMessage.includes("429") ||
-      errorMessage.includes("too many requests")
+      error.response?.status === 429 ||
+      lowerMessage.includes("too many requests")
     ) {
+      const header = Number(error.response?.headers?.["retry-after"]);
+      const inMessage = lowerMessage.match(/try again in (\d+) seconds/);
       return {
         category: ErrorCategories.RATE_LIMIT_ERROR,
         severity: "high",
@@ -488,7 +661,7 @@ export class ErrorCategorizer {
         message: "Rate limit exceeded",
         details: {
           errorMessage,
-          retryAfter: error.response?.headers?.["retry-after"],
+          retryAfter: Number.isFinite(header) && header > 0 ? header : inMessage ? Number(inMessage[1]) : undefined,
         },
       };
     }
@@ -513,8 +686,8 @@ export class ErrorCategorizer {
     // Timeout errors
     if (
       error.code === "ECONNABORTED" ||
-      errorMessage.includes("timeout") ||
-      errorMessage.includes("timed out")
+      lowerMessage.includes("timeout") ||
+      lowerMessage.includes("timed out")
     ) {
       return {
         category: ErrorCategories.TIMEOUT_ERROR,
@@ -528,8 +701,8 @@ export class ErrorCategorizer {
     // Authentication errors
     if (
       error.response?.status === 401 ||
-      errorMessage.includes("unauthorized") ||
-      errorMessage.includes("authentication")
+      lowerMessage.includes("unauthorized") ||
+      lowerMessage.includes("authentication")
     ) {
       return {
         category: ErrorCategories.AUTHENTICATION_ERROR,
@@ -672,18 +845,68 @@ export class CircuitBreaker {
 
 /**
  * Enhanced cache with metrics
+ * Least recently used entries are evicted first, when either the entry
+ * count or the approximate byte size of the cached payloads is exceeded.
+ * Expired entries are swept periodically, not only when read. Every change
+ * is handed to a store (see core/cacheStore.js) that may persist it.
+ * With a stale window, entries outlive their TTL by that long so callers
+ * can serve them while refreshing (getEntry); get() only returns fresh data.
  */
 export class EnhancedCache {
-  constructor(timeout = 300000, maxSize = 1000) {
+  /**
+   * @param {number} timeout - Default entry TTL in ms
+   * @param {number} maxSize - Maximum number of entries
+   * @param {boolean} enabled - A disabled cache stores nothing
+   * @param {object} options - `maxBytes` caps the payload size,
+   *   `sweepInterval` (ms, 0 to disable) sets how often expired entries go,
+   *   `store` persists the entries (in memory only by default),
+   *   `staleWindow` (ms) keeps entries this long past their TTL
+   */
+  constructor(timeout = 300000, maxSize = 1000, enabled = true, options = {}) {
+    // Map iteration order is the LRU order, oldest first
     this.cache = new Map();
+    this.enabled = enabled;
     this.metrics = {
       hits: 0,
+      staleHits: 0,
       misses: 0,
       evictions: 0,
+      expirations: 0,
       totalRequests: 0,
     };
     this.timeout = timeout;
     this.maxSize = maxSize;
+    this.maxBytes = options.maxBytes ?? DEFAULT_CACHE_MAX_BYTES;
+    this.staleWindow = options.staleWindow ?? 0;
+    this.bytes = 0;
+    this.store = options.store || new MemoryCacheStore();
+    if (enabled) this.restore();
+
+    const sweepInterval = options.sweepInterval ?? DEFAULT_CACHE_SWEEP_INTERVAL;
+    if (enabled && sweepInterval > 0) {
+      this.sweepTimer = setInterval(() => this.sweep(), sweepInterval);
+      this.sweepTimer.unref?.(); // Never keeps the process alive
+    }
+  }
+
+  /**
+   * Take over the unexpired entries the store kept from earlier runs,
+   * within the current limits
+   */
+  restore() {
+    const now = Date.now();
+    for (const [key, entry] of this.store.load()) {
+      if (entry.expiresAt <= now) {
+        this.store.delete(key);
+        continue;
+      }
+      this.cache.set(key, entry);
+      this.bytes += entry.size;
+    }
+    this.evictUntilFits(0, 0);
+    if (this.cache.size > 0) {
+      logger.info("Cache restored", { entries: this.cache.size, bytes: this.bytes });
+    }
   }
 
   /**
@@ -700,9 +923,33 @@ export class EnhancedCache {
   }
 
   /**
-   * Get cached result
+   * Approximate size of a payload in bytes, as serialized JSON
+   */
+  approximateSize(data) {
+    try {
+      return Buffer.byteLength(JSON.stringify(data) ?? "");
+    } catch {
+      return 0; // Circular or otherwise unserializable, count the key only
+    }
+  }
+
+  /**
+   * Get cached result, fresh entries only
    */
   get(key) {
+    return this.lookup(key, false)?.data ?? null;
+  }
+
+  /**
+   * Get a cached entry, stale ones included
+   * @returns {{data: *, stale: boolean, ageMs: number}|null}
+   */
+  getEntry(key) {
+    return this.lookup(key, true);
+  }
+
+  lookup(key, allowStale) {
+    if (!this.enabled) return null;
     this.metrics.totalRequests++;
 
     const entry = this.cache.get(key);
@@ -711,32 +958,98 @@ export class EnhancedCache {
       return null;
     }
 
-    if (Date.now() - entry.timestamp > this.timeout) {
-      this.cache.delete(key);
-      this.metrics.evictions++;
+    const now = Date.now();
+    if (entry.expiresAt <= now) {
+      this.remove(key);
+      this.metrics.expirations++;
       this.metrics.misses++;
       return null;
     }
 
+    // Entries persisted before stale windows existed are fresh until they expire
+    const stale = (entry.freshUntil ?? entry.expiresAt) <= now;
+    if (stale && !allowStale) {
+      this.metrics.misses++;
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+
     this.metrics.hits++;
-    return entry.data;
+    if (stale) this.metrics.staleHits++;
+    return { data: entry.data, stale, ageMs: now - entry.timestamp };
   }
 
   /**
    * Set cached result with memory management
+   * @param {number} ttl - Overrides the default TTL for this entry (ms)
+   * @param {number} staleWindow - Overrides the stale window for this entry (ms)
    */
-  set(key, data) {
-    // Eviction if full
-    if (this.cache.size >= this.maxSize) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-      this.metrics.evictions++;
+  set(key, data, ttl = this.timeout, staleWindow = this.staleWindow) {
+    if (!this.enabled) return;
+
+    const size = Buffer.byteLength(key) + this.approximateSize(data);
+    this.remove(key);
+    if (size > this.maxBytes) {
+      logger.debug("Entry larger than the cache byte limit, not cached", { key, size });
+      return;
     }
 
-    this.cache.set(key, {
+    this.evictUntilFits(size);
+
+    const timestamp = Date.now();
+    const entry = {
       data,
-      timestamp: Date.now(),
-    });
+      timestamp,
+      freshUntil: timestamp + ttl,
+      expiresAt: timestamp + ttl + staleWindow,
+      size,
+    };
+    this.cache.set(key, entry);
+    this.bytes += size;
+    this.store.set(key, entry);
+  }
+
+  /**
+   * Evict least recently used entries until `entries` more entries of
+   * `bytes` in total fit
+   */
+  evictUntilFits(bytes, entries = 1) {
+    while (this.cache.size > 0 && (this.cache.size + entries > this.maxSize || this.bytes + bytes > this.maxBytes)) {
+      this.remove(this.cache.keys().next().value);
+      this.metrics.evictions++;
+    }
+  }
+
+  /**
+   * Remove an entry, keeping the byte count in step
+   */
+  remove(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return false;
+    this.cache.delete(key);
+    this.bytes -= entry.size;
+    this.store.delete(key);
+    return true;
+  }
+
+  /**
+   * Drop every expired entry
+   * @returns {number} Entries removed
+   */
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.cache) {
+      if (entry.expiresAt <= now) {
+        this.remove(key);
+        removed++;
+      }
+    }
+    this.metrics.expirations += removed;
+    return removed;
   }
 
   /**
@@ -745,6 +1058,16 @@ export class EnhancedCache {
   clear() {
     this.metrics.evictions += this.cache.size;
     this.cache.clear();
+    this.bytes = 0;
+    this.store.clear();
+  }
+
+  /**
+   * Stop the periodic sweep
+   */
+  destroy() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
   }
 
   /**
@@ -757,8 +1080,13 @@ export class EnhancedCache {
         this.metrics.totalRequests > 0
           ? this.metrics.hits / this.metrics.totalRequests
           : 0,
+      enabled: this.enabled,
       size: this.cache.size,
+      maxSize: this.maxSize,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
       timeout: this.timeout,
+      staleWindow: this.staleWindow,
     };
   }
 }
@@ -775,7 +1103,11 @@ export class ResultProcessor {
       config.circuitBreakerThreshold,
       config.circuitBreakerTimeout,
     );
-    this.cache = new EnhancedCache(config.cacheTimeout);
+    this.cache = new EnhancedCache(config.cacheTimeout, config.cacheMaxSize, config.cacheEnabled, {
+      maxBytes: config.cacheMaxBytes,
+      store: config.cacheStore,
+      staleWindow: config.cacheStaleWindow,
+    });
     this.metrics = {
       processedQueries: 0,
       totalResults: 0,
@@ -790,24 +1122,252 @@ export class ResultProcessor {
    */
   normalizeResult(result, index) {
     const url = result.url || result.link;
-    const title = result.title || result.name || "Untitled";
-    const description =
-      result.description || result.snippet || result.summary || "";
+    const title = this.cleanSnippet(result.title || result.name || "").text || "Untitled";
+    const snippet = this.cleanSnippet(
+      result.description || result.snippet || result.summary || "",
+    );
+
+    // "Dec 20, 2024 · ..." snippets carry the publish date the API leaves empty
+    const { date: leadingDate, prefixLength } = this.splitLeadingDate(snippet.text);
+    const description = snippet.text.slice(prefixLength);
+    const highlights = snippet.highlights
+      .filter((highlight) => highlight.start >= prefixLength)
+      .map((highlight) => ({
+        ...highlight,
+        start: highlight.start - prefixLength,
+        end: highlight.end - prefixLength,
+      }));
+
+    const publishedDate =
+      this.parseDateText(result.publishedDate) || leadingDate;
 
     return {
       ...result,
       url,
       title,
       description,
+      ...(result.snippet && { snippet: this.cleanSnippet(result.snippet).text }),
+      highlights,
+      publishedDate: publishedDate ? publishedDate.toISOString() : result.publishedDate || null,
       position: result.position || index + 1,
       domain: url ? new URL(url).hostname : "unknown",
       contentCategory: this.categorizeContent(title, description),
-      isRecent: this.isRecentContent(result.publishedDate),
+      isRecent: this.isRecentContent(publishedDate),
     };
   }
 
+  /**
+   * Turn snippet markup into plain text: HTML entities are decoded, markup
+   * tags dropped and <em>/<b>/<strong> spans returned as highlights with
+   * their offsets in the plain text. Angle brackets around anything else
+   * are kept as text.
+   * @param {string} html - Title or snippet as returned by the API
+   * @returns {{ text: string, highlights: {text: string, start: number, end: number}[] }}
+   */
+  cleanSnippet(html) {
+    let text = "";
+    let highlightStart = null;
+    const highlights = [];
+
+    for (const [index, part] of String(html).split(MARKUP_TAG).entries()) {
+      // split() puts the captured tags at odd indexes
+      if (index % 2 === 0) {
+        const chunk = decodeEntities(part).replace(/\s+/g, " ");
+        // Spaces on both sides of a dropped tag collapse into one
+        text += text.endsWith(" ") && chunk.startsWith(" ") ? chunk.slice(1) : chunk;
+        continue;
+      }
+      const tag = part.match(/^<(\/?)([a-z]+)/i);
+      if (BREAK_TAGS.has(tag[2].toLowerCase())) {
+        if (!text.endsWith(" ")) text += " ";
+        continue;
+      }
+      if (!HIGHLIGHT_TAGS.has(tag[2].toLowerCase())) continue;
+
+      if (!tag[1]) {
+        highlightStart = highlightStart ?? text.length;
+      } else if (highlightStart !== null) {
+        if (text.length > highlightStart) {
+          highlights.push({ text: text.slice(highlightStart), start: highlightStart, end: text.length });
+        }
+        highlightStart = null;
+      }
+    }
+
+    // Trim without moving the offsets out of place
+    const leadingSpace = text.length - text.trimStart().length;
+    const trimmed = text.trim();
+    return {
+      text: trimmed,
+      highlights: highlights
+        .map((highlight) => ({
+          ...highlight,
+          start: highlight.start - leadingSpace,
+          end: Math.min(highlight.end - leadingSpace, trimmed.length),
+        }))
+        .filter((highlight) => highlight.start >= 0 && highlight.end > highlight.start),
+    };
+  }
+
+  /**
+   * Order results by a SORT_MODES mode. "quality" sorts by qualityScore,
+   * "recency" by publish date with undated results last; both are stable.
+   */
+  sortResults(results, mode = "relevance") {
+    if (mode === "quality") {
+      return [...results].sort((a, b) => (b.qualityScore ?? 0) - (a.qualityScore ?? 0));
+    }
+    if (mode === "recency") {
+      const time = (result) => this.parsePublishedDate(result)?.getTime() ?? -Infinity;
+      return [...results].sort((a, b) => {
+        const difference = time(b) - time(a);
+        return Number.isNaN(difference) ? 0 : difference;
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Find the first operator of a parsed query that a result violates.
+   * Positive "exact phrases" are not enforced: the title and snippet are too
+   * short to prove a page lacks the phrase, so matches are scored instead
+   * (see matchesPhrases).
+   * @param {object} result - Normalized result
+   * @param {object} parsedQuery - Output of parseQuery()
+   * @returns {string|null} Operator name ("site", "-site", "-phrase", "-term", ...) or null
+   */
+  violatedOperator(result, parsedQuery) {
+    const { exclude } = parsedQuery;
+    const url = result.url || "";
+    const text = `${result.title} ${result.description} ${url}`;
+
+    const checks = [
+      ["site", parsedQuery.site.length > 0 && !parsedQuery.site.some((site) => matchesSite(url, site))],
+      ["-site", exclude.site.some((site) => matchesSite(url, site))],
+      ["filetype", parsedQuery.fileType.length > 0 && !parsedQuery.fileType.some((type) => matchesFileType(url, type))],
+      ["-filetype", exclude.fileType.some((type) => matchesFileType(url, type))],
+      ["intitle", !parsedQuery.inTitle.every((value) => containsText(result.title, value))],
+      ["-intitle", exclude.inTitle.some((value) => containsText(result.title, value))],
+      ["inurl", !parsedQuery.inUrl.every((value) => url.toLowerCase().includes(value))],
+      ["-inurl", exclude.inUrl.some((value) => url.toLowerCase().includes(value))],
+      ["-phrase", exclude.phrases.some((phrase) => containsText(text, phrase))],
+      ["-term", exclude.terms.some((term) => containsText(text, term))],
+    ];
+    return checks.find(([, violated]) => violated)?.[0] || null;
+  }
+
+  /**
+   * Whether the title, snippet or URL of a result contains every "exact
+   * phrase" of the query
+   */
+  matchesPhrases(result, parsedQuery) {
+    const text = `${result.title} ${result.description} ${result.url || ""}`;
+    return parsedQuery.phrases.every((phrase) => containsText(text, phrase));
+  }
+
+  /**
+   * Collect the response sections besides the standard results, each
+   * normalized to an array of typed items. Sections that are disabled or
+   * missing from the response are left out.
+   * @param {object} data - API response body
+   * @param {string[]} enabled - Section names from RESPONSE_SECTIONS
+   */
+  extractSections(data, enabled = RESPONSE_SECTIONS) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) return {};
+    const containers = [data, data.specialSections || {}];
+
+    const sections = {};
+    for (const name of enabled) {
+      const items = [];
+      for (const key of SECTION_SOURCES[name] || []) {
+        for (const container of containers) {
+          if (container[key] === undefined || container[key] === null) continue;
+          const raw = container[key]?.data ?? container[key];
+          for (const item of Array.isArray(raw) ? raw : [raw]) {
+            const normalized = this.normalizeSectionItem(name, item, key);
+            if (normalized) items.push(normalized);
+          }
+        }
+      }
+      if (items.length > 0) sections[name] = items;
+    }
+    return sections;
+  }
+
+  normalizeSectionItem(section, item, sourceKey) {
+    if (item === null || item === undefined) return null;
+    const link = (value) => value?.link || value?.url || undefined;
+
+    switch (section) {
+      case "info_box": {
+        const facts = Array.isArray(item.about)
+          ? item.about
+          : Object.entries(item.facts || item.attributes || {}).map(([label, value]) => ({ label, value }));
+        return {
+          type: "info_box",
+          title: item.title || item.name,
+          subtitle: item.subtitle || item.type,
+          description: item.description || item.summary,
+          url: link(item),
+          image: item.image || item.thumbnail,
+          facts: facts
+            .map((fact) =>
+              typeof fact === "string" ? { label: "", value: fact } : { label: fact.label || fact.name || "", value: fact.value ?? fact.text },
+            )
+            .filter((fact) => fact.value !== undefined && fact.value !== ""),
+        };
+      }
+      case "top_stories":
+        return {
+          type: "top_story",
+          title: item.title,
+          url: link(item),
+          source: item.source || item.publisher,
+          publishedDate: item.publishedDate || item.date || item.age,
+          image: item.image || item.thumbnail,
+        };
+      case "videos":
+        return {
+          type: "video",
+          title: item.title,
+          url: link(item),
+          source: item.source || item.channel,
+          duration: item.duration,
+          publishedDate: item.publishedDate || item.date,
+          thumbnail: item.thumbnail || item.image,
+        };
+      case "related_searches": {
+        const query = typeof item === "string" ? item : item.query || item.title || item.text;
+        return query ? { type: "related_search", query, url: link(item) } : null;
+      }
+      case "images":
+        return {
+          type: "image",
+          title: item.title || item.alt,
+          url: link(item),
+          imageUrl: item.imageUrl || item.image || item.src,
+          thumbnail: item.thumbnail,
+          width: item.width,
+          height: item.height,
+        };
+      case "special_answers":
+        return typeof item === "object"
+          ? { type: sourceKey, ...item }
+          : { type: sourceKey, answer: String(item) };
+      default:
+        return null;
+    }
+  }
+
   /**
    * Process search results
+   * @param {object|object[]} results - API response body or a result list
+   * @param {string} query - The search query
+   * @param {object} params - Processing options: time_range, parsed_query,
+   *   content_categories, include_domains, exclude_domains, min_quality_score,
+   *   sort, count, sections, research_focus
+   * @returns {Promise<object>} Results, sections and metadata; metadata.filters
+   *   counts the results each active filter removed
    */
   async processResults(results, query, params = {}) {
     const startTime = Date.now();
@@ -818,7 +1378,10 @@ export class ResultProcessor {
 
       // Check circuit breaker
       if (!this.circuitBreaker.canProceed()) {
-        throw new Error("Circuit breaker is open");
+        const error = new Error("Circuit breaker is open after repeated processing failures");
+        error.code = ErrorCategories.CIRCUIT_OPEN;
+        error.retryAfter = Math.max(1, Math.ceil((this.circuitBreaker.nextAttempt - Date.now()) / 1000));
+        throw error;
       }
 
       // 1. Normalize results
@@ -839,16 +1402,77 @@ export class ResultProcessor {
         this.normalizeResult(result, index),
       );
 
-      // 2. Filter by content categories if specified
+      // Results removed per filter, for the filters that are active
+      const filters = {};
+      const applyFilter = (name, keep) => {
+        const before = processedResults.length;
+        processedResults = processedResults.filter(keep);
+        filters[name] = before - processedResults.length;
+      };
+
+      // 2. Filter by publish date when a time range is requested. Results
+      // without a recognisable date are kept, the API already filtered them.
+      let dateFilter = null;
+      const maxAgeDays = TIME_RANGE_DAYS[params.time_range];
+      if (maxAgeDays) {
+        const cutoff = Date.now() - maxAgeDays * DAY_MS;
+        let undated = 0;
+        applyFilter("time_range", (result) => {
+          const published = this.parsePublishedDate(result);
+          if (!published) {
+            undated++;
+            return true;
+          }
+          return published.getTime() >= cutoff;
+        });
+        dateFilter = {
+          timeRange: params.time_range,
+          removed: filters.time_range,
+          undated,
+        };
+      }
+
+      // 2b. Filter by content categories if specified ("technology" matches
+      // every "technology-*" category)
       if (params.content_categories && params.content_categories.length > 0) {
-        processedResults = processedResults.filter((result) =>
-          params.content_categories.includes(result.contentCategory),
+        applyFilter("content_categories", (result) =>
+          params.content_categories.some(
+            (category) =>
+              result.contentCategory === category ||
+              result.contentCategory.startsWith(`${category}-`),
+          ),
         );
       }
 
-      // 3. Filter by excluded domains if specified
+      // 2c. Enforce the search operators of the query, the engine does not
+      // always honour them
+      let operatorFilter = null;
+      if (params.parsed_query?.hasOperators) {
+        const byOperator = {};
+        applyFilter("operators", (result) => {
+          const violated = this.violatedOperator(result, params.parsed_query);
+          if (violated) byOperator[violated] = (byOperator[violated] || 0) + 1;
+          return !violated;
+        });
+        operatorFilter = { removed: filters.operators, byOperator };
+
+        if (params.parsed_query.phrases.length > 0) {
+          processedResults = processedResults.map((result) => ({
+            ...result,
+            phraseMatch: this.matchesPhrases(result, params.parsed_query),
+          }));
+        }
+      }
+
+      // 3. Filter by included and excluded domains if specified
+      if (params.include_domains && params.include_domains.length > 0) {
+        applyFilter("include_domains", (result) =>
+          params.include_domains.some((d) => result.domain.includes(d)),
+        );
+      }
       if (params.exclude_domains && params.exclude_domains.length > 0) {
-        processedResults = processedResults.filter(
+        applyFilter(
+          "exclude_domains",
           (result) =>
             !params.exclude_domains.some((d) => result.domain.includes(d)),
         );
@@ -858,12 +1482,20 @@ export class ResultProcessor {
       const deduplicationResult =
         this.deduplicator.deduplicate(processedResults);
       processedResults = deduplicationResult.results;
+      filters.duplicates = deduplicationResult.metrics.duplicateCount;
       this.metrics.deduplicatedResults += processedResults.length;
 
-      // 5. Calculate quality scores
+      // 5. Calculate quality scores (weighted by research focus if specified)
+      const focusProfile = params.research_focus
+        ? getFocusProfile(params.research_focus)
+        : null;
       processedResults = processedResults.map((result, index) => ({
         ...result,
-        qualityScore: this.calculateQualityScore(result, index),
+        qualityScore: Math.min(
+          100,
+          this.calculateQualityScore(result, index, focusProfile) +
+            (result.phraseMatch ? PHRASE_MATCH_BONUS : 0),
+        ),
         processingTimestamp: new Date().toISOString(),
       }));
 
@@ -872,16 +1504,24 @@ export class ResultProcessor {
         typeof params.min_quality_score === "number" &&
         params.min_quality_score > 0
       ) {
-        processedResults = processedResults.filter(
+        applyFilter(
+          "min_quality_score",
           (result) => result.qualityScore >= params.min_quality_score,
         );
       }
 
+      // 6b. Sort when a mode other than the engine's relevance is requested
+      processedResults = this.sortResults(processedResults, params.sort);
+
       // 7. Apply count limit
       if (params.count && processedResults.length > params.count) {
+        filters.count = processedResults.length - params.count;
         processedResults = processedResults.slice(0, params.count);
       }
 
+      // 8. Rich sections besides the standard results
+      const sections = this.extractSections(results, params.sections || RESPONSE_SECTIONS);
+
       const processingTime = Date.now() - startTime;
       this.updateAverageProcessingTime(processingTime);
 
@@ -889,21 +1529,28 @@ export class ResultProcessor {
 
       return {
         results: processedResults,
+        sections,
         metadata: {
           query,
           params,
           processingTime,
           deduplication: deduplicationResult.metrics,
+          ...(dateFilter && { dateFilter }),
+          ...(operatorFilter && { operatorFilter }),
+          filters,
           cacheHit: false,
           qualityMetrics: this.getQualityMetrics(processedResults),
-          total: results.length,
+          total: rawResults.length,
           processed: processedResults.length,
-          filteredOut: results.length - processedResults.length,
+          filteredOut: rawResults.length - processedResults.length,
         },
       };
     } catch (error) {
       this.metrics.errors++;
-      this.circuitBreaker.recordFailure();
+      // Calls turned away by the open breaker must not extend the pause
+      if (error.code !== ErrorCategories.CIRCUIT_OPEN) {
+        this.circuitBreaker.recordFailure();
+      }
 
       const categorizedError = this.errorCategorizer.categorizeError(error);
 
@@ -923,8 +1570,10 @@ export class ResultProcessor {
   /**
    * Calculate quality score for a result based on available Presearch API data
    * Optimized for actual API response structure: title, link, description only
+   * @param {object} focusProfile - Optional research focus profile adding
+   *   bonuses for favoured domains, title keywords and recent content
    */
-  calculateQualityScore(result, index) {
+  calculateQualityScore(result, index, focusProfile = null) {
     let score = 0;
 
     // Original Rank bonus (0-20 points)
@@ -1055,6 +1704,28 @@ export class ResultProcessor {
       }
     }
 
+    // Research focus weighting (0-55 points depending on the profile)
+    if (focusProfile) {
+      const { weights } = focusProfile;
+      let domain = result.domain;
+      try {
+        domain = domain || new URL(result.url || result.link).hostname;
+      } catch {
+        domain = "";
+      }
+
+      if (isFavouredDomain(domain, focusProfile)) score += weights.favouredDomain;
+
+      const titleLower = (result.title || "").toLowerCase();
+      if (focusProfile.titleKeywords.some((keyword) => titleLower.includes(keyword))) {
+        score += weights.titleKeyword;
+      }
+
+      if (weights.recency && this.isRecentContent(result.publishedDate)) {
+        score += weights.recency;
+      }
+    }
+
     // Normalize score to 0-100 range
     return Math.max(0, Math.min(100, score));
   }
@@ -1241,6 +1912,57 @@ export class ResultProcessor {
     return "general";
   }
 
+  /**
+   * Publish date of a result from its date fields, or from a date the
+   * snippet starts with ("Dec 20, 2024 · ...", "3 days ago · ...")
+   * @returns {Date|null}
+   */
+  parsePublishedDate(result, now = Date.now()) {
+    for (const field of ["publishedDate", "date", "published", "age"]) {
+      const date = this.parseDateText(result[field], now);
+      if (date) return date;
+    }
+    return this.splitLeadingDate(result.description, now).date;
+  }
+
+  /**
+   * Split a leading date off a snippet
+   * @returns {{ date: Date|null, prefixLength: number }} prefixLength is the
+   *   length of the date and its separator, 0 without a date
+   */
+  splitLeadingDate(text, now = Date.now()) {
+    const leading = (text || "").match(/^\s*([^·•|]{3,30}?)\s+[·•|—-]\s+/);
+    const date =
+      leading && SNIPPET_DATE_PATTERN.test(leading[1])
+        ? this.parseDateText(leading[1], now)
+        : null;
+    return { date, prefixLength: date ? leading[0].length : 0 };
+  }
+
+  /**
+   * Parse an absolute ("2024-12-20", "Dec 20, 2024") or relative
+   * ("3 days ago", "yesterday") date
+   * @returns {Date|null}
+   */
+  parseDateText(text, now = Date.now()) {
+    if (!text || typeof text !== "string") return null;
+    const value = text.trim().toLowerCase();
+
+    if (value === "today" || value === "just now") return new Date(now);
+    if (value === "yesterday") return new Date(now - DAY_MS);
+
+    const relative = value.match(/^(\d+|an?)\s+(minute|hour|day|week|month|year)s?\s+ago$/);
+    if (relative) {
+      const amount = /^\d/.test(relative[1]) ? Number(relative[1]) : 1;
+      return new Date(now - amount * RELATIVE_DATE_UNITS[relative[2]] * DAY_MS);
+    }
+
+    // Only accept text that names a year, bare numbers are not dates
+    if (!/\b(19|20)\d{2}\b/.test(value)) return null;
+    const date = new Date(text.trim());
+    return isNaN(date.getTime()) ? null : date;
+  }
+
   /**
    * Check if content is recent
    */
@@ -1293,5 +2015,17 @@ export class ResultProcessor {
   }
 }
 
-// Export singleton instance
-export const resultProcessor = new ResultProcessor();
+// Export singleton instance, caching search responses as configured
+const { cache: cacheConfig } = getConfig();
+// CACHE_TTL=0 turns off the search cache only, scraped pages keep their own TTL
+const searchCacheEnabled = cacheConfig.enabled && cacheConfig.ttl > 0;
+export const resultProcessor = new ResultProcessor(
+  new ResultProcessorConfig({
+    cacheTimeout: cacheConfig.ttl,
+    cacheMaxSize: cacheConfig.maxSize,
+    cacheMaxBytes: cacheConfig.maxBytes,
+    cacheStaleWindow: cacheConfig.staleWindow,
+    cacheStore: searchCacheEnabled ? createCacheStore(cacheConfig, "search-cache") : undefined,
+    cacheEnabled: searchCacheEnabled,
+  }),
+);
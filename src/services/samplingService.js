@@ -0,0 +1,167 @@
+import logger from "../core/logger.js";
+
+const SYSTEM_PROMPT =
+  "You are a meticulous research assistant planning and writing web research. Be concise and factual.";
+const MAX_SOURCE_CHARS = 1200;
+const MAX_PROMPT_SOURCES = 30;
+
+/**
+ * Sampling Service
+ * Asks the connected client's LLM (sampling/createMessage) to plan research
+ * queries and write the final synthesis. Every method takes the low-level
+ * MCP server handle of the current session.
+ */
+export class SamplingService {
+  /**
+   * Check whether the connected client advertises the sampling capability
+   * @param {import("@modelcontextprotocol/sdk/server/index.js").Server} server
+   */
+  isAvailable(server) {
+    try {
+      return Boolean(server?.getClientCapabilities?.()?.sampling);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Send a single-turn prompt to the client's LLM and return its text reply
+   */
+  async complete(server, prompt, { maxTokens = 800, signal } = {}) {
+    const result = await server.createMessage(
+      {
+        messages: [{ role: "user", content: { type: "text", text: prompt } }],
+        systemPrompt: SYSTEM_PROMPT,
+        includeContext: "none",
+        maxTokens,
+      },
+      signal ? { signal } : undefined,
+    );
+
+    const content = Array.isArray(result?.content) ? result.content[0] : result?.content;
+    if (content?.type !== "text" || !content.text) {
+      throw new Error("Sampling returned no text content");
+    }
+
+    logger.debug("Sampling completed", { model: result.model, length: content.text.length });
+    return content.text;
+  }
+
+  /**
+   * Break a topic into search queries for its main sub-questions
+   * @returns {Promise<string[]>}
+   */
+  async planSubQuestions(server, topic, count, options = {}) {
+    const text = await this.complete(
+      server,
+      `Break the research topic below into ${count} distinct sub-questions that together cover it, ` +
+        `and phrase each one as a concise web search query.\n\n` +
+        `Topic: ${topic}\n` +
+        this.focusLine(options.focus) +
+        this.clarificationLine(options.clarifications) +
+        `\n` +
+        `Reply with a JSON array of ${count} strings and nothing else.`,
+      options,
+    );
+    return this.parseQueryList(text, count);
+  }
+
+  /**
+   * Choose follow-up queries for a branch based on what its sources said
+   * @param {Array<{title: string, url: string, text: string}>} findings
+   * @returns {Promise<string[]>}
+   */
+  async chooseFollowUps(server, topic, query, findings, count, options = {}) {
+    const digest = findings
+      .map((f, i) => `(${i + 1}) ${f.title}: ${f.text.substring(0, 400)}`)
+      .join("\n");
+
+    const text = await this.complete(
+      server,
+      `We are researching "${topic}" and just searched for "${query}". ` +
+        `These are the findings:\n\n${digest}\n\n` +
+        `Propose ${count} follow-up web search queries that dig into the most important open questions ` +
+        `or gaps. Do not repeat the query above.\n` +
+        this.focusLine(options.focus) +
+        this.clarificationLine(options.clarifications) +
+        `\n` +
+        `Reply with a JSON array of ${count} strings and nothing else.`,
+      options,
+    );
+    return this.parseQueryList(text, count);
+  }
+
+  /**
+   * Write the research report from numbered sources
+   * @param {string[]} outline - Sub-topic queries explored, in report order
+   * @param {Array<{number: number, title: string, url: string, text: string}>} sources
+   * @returns {Promise<string>} Markdown citing sources as [n]
+   */
+  async writeSynthesis(server, topic, outline, sources, options = {}) {
+    const sourceBlock = sources
+      .slice(0, MAX_PROMPT_SOURCES)
+      .map((s) => `[${s.number}] ${s.title} (${s.url})\n${s.text.substring(0, MAX_SOURCE_CHARS)}`)
+      .join("\n\n");
+
+    const layout = options.focus?.report;
+    const structure = [
+      `a "## ${layout?.summaryHeading || "Executive Summary"}" section`,
+      ...(layout?.highlight ? [`a "## ${layout.highlight.heading}" section`] : []),
+      `one "##" section per sub-topic (${outline.join("; ")})`,
+    ];
+
+    return this.complete(
+      server,
+      `Write a research report in Markdown on: ${topic}\n` +
+        this.focusLine(options.focus) +
+        this.clarificationLine(options.clarifications) +
+        `\nStructure: ${structure.join(", then ")}.\n` +
+        `Only use the sources below and cite them inline as [n] with their numbers. ` +
+        `Do not add a bibliography, it is appended automatically.\n\n` +
+        `Sources:\n\n${sourceBlock}`,
+      { maxTokens: 3000, ...options },
+    );
+  }
+
+  focusLine(focus) {
+    return focus && focus.name !== "general"
+      ? `Research focus (${focus.name}): ${focus.description}\n`
+      : "";
+  }
+
+  clarificationLine(clarifications) {
+    const parts = [
+      clarifications?.timePeriod && `time period: ${clarifications.timePeriod}`,
+      clarifications?.angle && `what matters most: ${clarifications.angle}`,
+    ].filter(Boolean);
+    return parts.length > 0 ? `The user clarified the request (${parts.join("; ")}).\n` : "";
+  }
+
+  /**
+   * Parse a list of queries from an LLM reply: a JSON array if present,
+   * otherwise one query per (bulleted or numbered) line
+   */
+  parseQueryList(text, count) {
+    let queries = [];
+    const match = text.match(/\[[\s\S]*\]/);
+    if (match) {
+      try {
+        const parsed = JSON.parse(match[0]);
+        if (Array.isArray(parsed)) queries = parsed.filter((q) => typeof q === "string");
+      } catch {
+        // Fall through to line parsing
+      }
+    }
+
+    if (queries.length === 0) {
+      queries = text
+        .split("\n")
+        .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").replace(/^["']|["',]+$/g, ""))
+        .filter((line) => line && line.length < 200);
+    }
+
+    return [...new Set(queries.map((q) => q.trim()).filter(Boolean))].slice(0, count);
+  }
+}
+
+export const samplingService = new SamplingService();
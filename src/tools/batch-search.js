@@ -0,0 +1,131 @@
+import { z } from "zod";
+import { withErrorHandling } from "../utils/errors.js";
+import { logToolUsage } from "../utils/logging.js";
+import { getConfig } from "../core/config.js";
+import { presearchService } from "../services/presearchService.js";
+import { createProgressReporter, cancelledResult } from "../utils/progress.js";
+
+const BatchSearchInputSchema = z.object({
+  queries: z
+    .array(z.string().min(1, "Search query cannot be empty"))
+    .min(1)
+    .max(20)
+    .describe("Queries to run, typically variants of the same question (1-20)"),
+  limit: z
+    .number()
+    .int()
+    .min(1)
+    .max(100)
+    .default(20)
+    .describe("Maximum number of merged results to return (1-100)"),
+  per_query_limit: z
+    .number()
+    .int()
+    .min(1)
+    .max(50)
+    .default(10)
+    .describe("Results fetched per query before merging (1-50)"),
+  concurrency: z
+    .number()
+    .int()
+    .min(1)
+    .max(10)
+    .default(3)
+    .describe("Number of queries running at the same time (1-10)"),
+  safe_search: z
+    .enum(["off", "moderate", "strict"])
+    .default("moderate")
+    .describe("Safe search filtering level"),
+  language: z
+    .string()
+    .default("en-US")
+    .describe("Language for search results"),
+  time_range: z
+    .enum(["any", "day", "week", "month", "year"])
+    .optional()
+    .describe("Time range filter applied to every query"),
+  region: z
+    .string()
+    .optional()
+    .describe("Country for localized results: ISO code ('US', 'DE') or English name"),
+});
+
+export const batchSearchTool = {
+  name: "presearch_batch_search",
+  description:
+    "Run several search queries at once (e.g. 5-10 variants of a question) and get one merged, deduplicated result list ranked by reciprocal rank fusion. Each result lists the queries that returned it and its rank there, so results found by many variants come first.",
+  inputSchema: BatchSearchInputSchema,
+  execute: withErrorHandling(
+    async ({
+      queries,
+      limit,
+      per_query_limit,
+      concurrency,
+      safe_search,
+      language,
+      time_range,
+      region,
+    }, context) => {
+      const config = getConfig();
+      const apiKey = context?.apiKey || config.apiKey;
+      const signal = context?.extra?.signal;
+      const reportProgress = createProgressReporter(context);
+      const startTime = Date.now();
+
+      logToolUsage("presearch_batch_search", {
+        queries: queries.length,
+        limit,
+        per_query_limit,
+        concurrency,
+        time_range,
+        region,
+      });
+
+      let batch;
+      try {
+        batch = await presearchService.batchSearch(
+          queries,
+          {
+            limit,
+            perQueryLimit: per_query_limit,
+            concurrency,
+            safesearch: safe_search || config.search?.defaultSafeSearch || "moderate",
+            lang: language || config.search?.defaultLanguage || "en-US",
+            time_range,
+            country: region,
+            apiKey,
+            signal,
+          },
+          (queriesCompleted) => reportProgress({ stage: "searching", queriesCompleted }),
+        );
+      } catch (error) {
+        if (signal?.aborted) return cancelledResult("presearch_batch_search");
+        throw error;
+      }
+
+      const response = {
+        queries: batch.queries,
+        total_results: batch.results.length,
+        results: batch.results,
+        search_metadata: {
+          engine: "presearch",
+          fusion: "reciprocal_rank",
+          concurrency,
+          timestamp: new Date().toISOString(),
+          response_time_ms: Date.now() - startTime,
+        },
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(response, null, 2),
+          },
+        ],
+      };
+    },
+  ),
+};
+
+export default batchSearchTool;
@@ -1,5 +1,6 @@
 import logger from "../core/logger.js";
 import { cache } from "../services/presearchService.js";
+import { contentFetcher } from "../services/contentFetcher.js";
 
 const CacheStatsSchema = {
   type: "object",
@@ -8,10 +9,10 @@ const CacheStatsSchema = {
 
 export const cacheStatsTool = {
   name: "cache_stats",
-  description: "Get statistics about the internal result cache",
+  description: "Get statistics about the internal result cache and the scraped page cache",
   inputSchema: CacheStatsSchema,
   execute: async () => {
-    const stats = cache.getMetrics();
+    const stats = { ...cache.getMetrics(), scrape: contentFetcher.cache.getMetrics() };
     logger.debug("Cache stats requested", stats);
     return {
       content: [
@@ -26,13 +27,14 @@ export const cacheStatsTool = {
 
 export const cacheClearTool = {
   name: "cache_clear",
-  description: "Clear the internal result cache",
+  description: "Clear the internal result cache and the scraped page cache",
   inputSchema: {
     type: "object",
     properties: {},
   },
   execute: async () => {
     cache.clear();
+    contentFetcher.cache.clear();
     return {
       content: [
         {
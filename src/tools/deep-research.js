@@ -1,51 +1,66 @@
 import logger from "../core/logger.js";
-import { presearchService } from "../services/presearchService.js";
-
-const DeepResearchInputSchema = {
-  type: "object",
-  properties: {
-    query: { type: "string", description: "The research topic" },
-    depth: {
-      type: "number",
-      description: "Depth of research (1-3)",
-      default: 2,
-    },
-    breadth: {
-      type: "number",
-      description: "Number of parallel paths (2-5)",
-      default: 3,
-    },
-  },
-  required: ["query"],
-};
+import { researchService } from "../services/researchService.js";
+import { createProgressReporter, cancelledResult } from "../utils/progress.js";
+import { budgetFromArgs } from "../services/researchBudget.js";
+import { clarificationService } from "../services/clarificationService.js";
+import { DeepResearchSchema } from "../utils/schemas.js";
+import { SearchError, searchErrorResult } from "../utils/errors.js";
 
 export const deepResearchTool = {
   name: "presearch_deep_research",
-  description: "Perform a multi-step deep research task on a topic. Generates a comprehensive report by exploring multiple sub-topics.",
-  inputSchema: DeepResearchInputSchema,
+  description: "Perform a multi-step deep research task on a topic. Searches the topic, scrapes the best sources, derives follow-up queries from what it read and recurses to the requested depth. research_focus (academic, market, technical, news) tailors queries, source ranking and report layout. Budgets (max_api_calls, max_pages, max_seconds, max_report_chars) stop the research gracefully and list the pruned branches. For vague topics it first asks the user clarifying questions (time period, region, angle) through MCP elicitation when the client supports it. Uses the client's LLM through MCP sampling for planning and writing when available. Returns a Markdown report with numbered citations, a list of numbers, dates and named facts on which sources disagree, plus the sub-topic tree with sources per node.",
+  inputSchema: DeepResearchSchema,
   execute: async (args, context) => {
-    // 1. Initial broad search
-    const initialResults = await presearchService.search(args.query, {
-      limit: args.breadth || 3,
-      apiKey: context?.apiKey,
-    });
+    const reportProgress = createProgressReporter(context);
+    const signal = context?.extra?.signal;
+
+    try {
+      // Narrow down vague topics before any credits are spent
+      const clarified = await clarificationService.clarify(context?.server, args.query, {
+        location: args.location,
+        focus: args.research_focus,
+        signal,
+      });
 
-    const report = {
-      topic: args.query,
-      summary: "Research in progress...",
-      sources: initialResults.results,
-      subTopics: [],
-    };
+      const report = await researchService.research(args.query, {
+        depth: args.depth,
+        breadth: args.breadth,
+        focus: clarified.focus || args.research_focus,
+        location: args.location || clarified.location,
+        clarifications: clarified.clarifications,
+        budget: budgetFromArgs(args),
+        apiKey: context?.apiKey,
+        server: context?.server,
+        signal,
+        onProgress: ({ stage, queriesCompleted, stats }) =>
+          reportProgress({ stage, queriesCompleted, pagesScraped: stats.pagesScraped }),
+      });
 
-    // 2. Mock recursive depth (real implementation would recurse)
-    // For V1, we return the structured initial findings
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify(report, null, 2),
-        },
-      ],
-    };
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(report, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        return cancelledResult("presearch_deep_research");
+      }
+      logger.error("Deep research failed", { error: error.message, query: args.query });
+      if (error instanceof SearchError) {
+        return searchErrorResult(error);
+      }
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Deep research failed: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
   },
 };
@@ -22,7 +22,7 @@ export const healthTool = {
         content: [
           {
             type: "text",
-            text: JSON.stringify({ status: "healthy", api: "connected" }),
+            text: JSON.stringify({ status: "healthy", api: "connected", nodes: apiClient.getNodeStats() }),
           },
         ],
       };
@@ -35,6 +35,7 @@ export const healthTool = {
             text: JSON.stringify({
               status: "unhealthy",
               error: error.message,
+              nodes: apiClient.getNodeStats(),
             }),
           },
         ],
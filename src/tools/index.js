@@ -1,4 +1,5 @@
 import { searchTool } from "./search.js";
+import { batchSearchTool } from "./batch-search.js";
 import { searchAndScrapeTool } from "./search-scrape.js";
 import { deepResearchTool } from "./deep-research.js";
 import { exportResultsTool } from "./export.js";
@@ -8,9 +9,17 @@ import { cacheStatsTool, cacheClearTool } from "./cache.js";
 import { healthTool } from "./health.js";
 import { nodeStatusTool } from "./node-status.js";
 import { siteExportTool } from "./site-export.js";
+import {
+  researchStartTool,
+  researchStatusTool,
+  researchResultTool,
+  researchCancelTool,
+} from "./research-jobs.js";
+import { researchExtendTool } from "./research-extend.js";
 
 export {
   searchTool,
+  batchSearchTool,
   searchAndScrapeTool,
   deepResearchTool,
   exportResultsTool,
@@ -21,10 +30,16 @@ export {
   healthTool,
   nodeStatusTool,
   siteExportTool,
+  researchStartTool,
+  researchStatusTool,
+  researchResultTool,
+  researchCancelTool,
+  researchExtendTool,
 };
 
 export const tools = [
   searchTool,
+  batchSearchTool,
   searchAndScrapeTool,
   deepResearchTool,
   exportResultsTool,
@@ -35,4 +50,9 @@ export const tools = [
   healthTool,
   nodeStatusTool,
   siteExportTool,
+  researchStartTool,
+  researchStatusTool,
+  researchResultTool,
+  researchCancelTool,
+  researchExtendTool,
 ];
@@ -0,0 +1,69 @@
+import logger from "../core/logger.js";
+import { researchService } from "../services/researchService.js";
+import { researchJobs } from "../services/researchJobs.js";
+import { budgetFromArgs } from "../services/researchBudget.js";
+import { createProgressReporter, cancelledResult } from "../utils/progress.js";
+import { ResearchExtendSchema } from "../utils/schemas.js";
+
+const errorResult = (text) => ({
+  isError: true,
+  content: [
+    {
+      type: "text",
+      text,
+    },
+  ],
+});
+
+export const researchExtendTool = {
+  name: "presearch_research_extend",
+  description:
+    "Continue an earlier deep research result instead of starting over: research one of its sub-topics deeper (sub_topic) or add a new angle (angle). Reuses the sources and scraped pages already collected, never re-scrapes a known URL, and returns the full report rewritten over the merged tree with one bibliography. Takes the researchId of a presearch_deep_research report or the job id of a finished research job.",
+  inputSchema: ResearchExtendSchema,
+  execute: async (args, context) => {
+    if (!args.sub_topic && !args.angle) {
+      return errorResult("Provide either sub_topic (to go deeper) or angle (to add a new sub-topic).");
+    }
+
+    // Finished background jobs are addressed by their job id
+    const researchId = researchJobs.get(args.research_id)?.result?.researchId || args.research_id;
+    if (!researchService.getSession(researchId)) {
+      return errorResult(
+        `Research not found: ${args.research_id}. Only recent results of this server session can be extended.`,
+      );
+    }
+
+    const reportProgress = createProgressReporter(context);
+    const signal = context?.extra?.signal;
+
+    try {
+      const report = await researchService.extend(researchId, {
+        subTopic: args.sub_topic,
+        angle: args.angle,
+        depth: args.depth,
+        breadth: args.breadth,
+        budget: budgetFromArgs(args),
+        apiKey: context?.apiKey,
+        server: context?.server,
+        signal,
+        onProgress: ({ stage, queriesCompleted, stats }) =>
+          reportProgress({ stage, queriesCompleted, pagesScraped: stats.pagesScraped }),
+      });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(report, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        return cancelledResult("presearch_research_extend");
+      }
+      logger.error("Extending research failed", { error: error.message, researchId });
+      return errorResult(`Extending research failed: ${error.message}`);
+    }
+  },
+};
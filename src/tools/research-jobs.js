@@ -0,0 +1,109 @@
+import { researchJobs, MAX_RUNNING_JOBS } from "../services/researchJobs.js";
+import { budgetFromArgs } from "../services/researchBudget.js";
+import { clarificationService } from "../services/clarificationService.js";
+import { DeepResearchSchema } from "../utils/schemas.js";
+
+const JobIdSchema = {
+  type: "object",
+  properties: {
+    job_id: { type: "string", description: "Job id returned by presearch_research_start" },
+  },
+  required: ["job_id"],
+};
+
+const jobNotFound = (jobId) => ({
+  isError: true,
+  content: [
+    {
+      type: "text",
+      text: `Research job not found: ${jobId}`,
+    },
+  ],
+});
+
+const asText = (data) => ({
+  content: [
+    {
+      type: "text",
+      text: JSON.stringify(data, null, 2),
+    },
+  ],
+});
+
+export const researchStartTool = {
+  name: "presearch_research_start",
+  description:
+    "Start a deep research job in the background and return its job id immediately. Poll presearch_research_status and fetch the report with presearch_research_result (or read presearch://research/{jobId}). Use this instead of presearch_deep_research when the research may exceed the tool call timeout. " +
+    `At most ${MAX_RUNNING_JOBS} jobs run at once; further starts are refused until one finishes or is cancelled.`,
+  inputSchema: DeepResearchSchema,
+  execute: async (args, context) => {
+    // Rejected before asking the user anything
+    try {
+      researchJobs.assertCanStart();
+    } catch (error) {
+      return { isError: true, content: [{ type: "text", text: error.message }] };
+    }
+
+    // Ask while the tool call is still open, the job itself runs detached
+    const clarified = await clarificationService.clarify(context?.server, args.query, {
+      location: args.location,
+      focus: args.research_focus,
+      signal: context?.extra?.signal,
+    });
+
+    const job = researchJobs.start(args.query, {
+      depth: args.depth,
+      breadth: args.breadth,
+      focus: clarified.focus || args.research_focus,
+      location: args.location || clarified.location,
+      clarifications: clarified.clarifications,
+      budget: budgetFromArgs(args),
+      apiKey: context?.apiKey,
+      server: context?.server,
+    });
+    return asText(job);
+  },
+};
+
+export const researchStatusTool = {
+  name: "presearch_research_status",
+  description: "Get the status and progress of a deep research job",
+  inputSchema: JobIdSchema,
+  execute: async (args) => {
+    const status = researchJobs.getStatus(args.job_id);
+    return status ? asText(status) : jobNotFound(args.job_id);
+  },
+};
+
+export const researchResultTool = {
+  name: "presearch_research_result",
+  description:
+    "Get the report of a deep research job. Returns the final report once completed, or a partial report built from the branches explored so far.",
+  inputSchema: JobIdSchema,
+  execute: async (args) => {
+    const result = researchJobs.getResult(args.job_id);
+    if (!result) return jobNotFound(args.job_id);
+
+    return {
+      ...asText(result),
+      ...(result.status === "failed" && { isError: true }),
+    };
+  },
+};
+
+export const researchCancelTool = {
+  name: "presearch_research_cancel",
+  description: "Cancel a running deep research job. Branches explored so far remain available as a partial report.",
+  inputSchema: JobIdSchema,
+  execute: async (args) => {
+    const status = researchJobs.getStatus(args.job_id);
+    if (!status) return jobNotFound(args.job_id);
+
+    const cancelled = researchJobs.cancel(args.job_id);
+    return asText({
+      ...researchJobs.getStatus(args.job_id),
+      cancelled,
+      ...(!cancelled && { message: `Job already ${status.status}` }),
+    });
+  },
+};
@@ -1,6 +1,9 @@
 import logger from "../core/logger.js";
 import { presearchService } from "../services/presearchService.js";
 import { contentFetcher } from "../services/contentFetcher.js";
+import { COUNTRY_COORDINATES } from "../services/geoLocation.js";
+import { createProgressReporter, cancelledResult } from "../utils/progress.js";
+import { SearchError, searchErrorResult } from "../utils/errors.js";
 
 export const searchAndScrapeTool = {
   name: "presearch_search_and_scrape",
@@ -15,24 +18,59 @@ export const searchAndScrapeTool = {
         description: "Number of pages to scrape (max 3)",
         default: 3,
       },
+      location: {
+        type: "string",
+        description: `Country for localized results: ISO code or English name of one of ${Object.keys(COUNTRY_COORDINATES).join(", ")}`,
+      },
+      city: { type: "string", description: "City for localized results (e.g. 'Berlin')" },
+      lat: { type: "number", description: "Latitude for localized results, use with long" },
+      long: { type: "number", description: "Longitude for localized results, use with lat" },
     },
     required: ["query"],
   },
   execute: async (args, context) => {
+    const reportProgress = createProgressReporter(context);
+    const signal = context?.extra?.signal;
+
     // 1. Search
-    const searchResults = await presearchService.search(args.query, {
-      limit: Math.min(args.limit || 3, 5),
-      apiKey: context?.apiKey,
-    });
+    reportProgress({ stage: "searching" });
+    let searchResults;
+    try {
+      searchResults = await presearchService.search(args.query, {
+        limit: Math.min(args.limit || 3, 5),
+        apiKey: context?.apiKey,
+        country: args.location,
+        city: args.city,
+        lat: args.lat,
+        long: args.long,
+        signal,
+      });
+    } catch (error) {
+      if (signal?.aborted) return cancelledResult("presearch_search_and_scrape");
+      if (error instanceof SearchError) return searchErrorResult(error);
+      throw error;
+    }
 
     // 2. Scrape top N results in parallel
     const urlsToScrape = searchResults.results
       .slice(0, args.limit || 3)
       .map((r) => r.url);
+    let pagesScraped = 0;
+    reportProgress({ stage: "scraping", queriesCompleted: 1, pagesScraped });
     const scrapedContent = await Promise.all(
-      urlsToScrape.map((url) => contentFetcher.fetchContent(url)),
+      urlsToScrape.map(async (url) => {
+        const page = await contentFetcher.fetchContent(url, { signal });
+        pagesScraped++;
+        reportProgress({ stage: "scraping", queriesCompleted: 1, pagesScraped });
+        return page;
+      }),
     );
 
+    if (signal?.aborted) {
+      logger.info("Search and scrape cancelled", { query: args.query });
+      return cancelledResult("presearch_search_and_scrape");
+    }
+
     return {
       content: [
         {
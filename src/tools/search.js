@@ -1,16 +1,22 @@
 import { z } from "zod";
-import { withErrorHandling } from "../utils/errors.js";
+import { withErrorHandling, AppError } from "../utils/errors.js";
 import { logToolUsage } from "../utils/logging.js";
 import { getConfig } from "../core/config.js";
 import { presearchService } from "../services/presearchService.js";
 import { contentAnalyzer } from "../services/contentAnalysisService.js";
+import { COUNTRY_COORDINATES } from "../services/geoLocation.js";
+import {
+  RESPONSE_SECTIONS,
+  CONTENT_CATEGORIES,
+  SORT_MODES,
+} from "../services/resultProcessor.js";
 
 const SearchInputSchema = z.object({
   query: z
     .string()
     .min(1, "Search query cannot be empty")
     .describe(
-      "The search query to execute. Supports advanced operators like 'site:', 'quotes', and minus sign exclusion.",
+      "The search query to execute. Supports the operators site:, -site:, \"exact phrase\", -term, filetype:, intitle: and inurl:, which are also enforced on the returned results; results showing an \"exact phrase\" get a higher quality score instead.",
     ),
   limit: z
     .number()
@@ -18,7 +24,18 @@ const SearchInputSchema = z.object({
     .min(1)
     .max(100)
     .default(10)
-    .describe("Maximum number of results to return (1-100)"),
+    .describe("Maximum number of results to return (1-100). Several API pages are fetched when one page has fewer."),
+  count: z
+    .number()
+    .int()
+    .min(1)
+    .max(100)
+    .optional()
+    .describe("Alias of limit"),
+  page: z
+    .union([z.number().int().min(1), z.string()])
+    .optional()
+    .describe("Page number to start from, or the next_page cursor of a previous response"),
   include_analysis: z
     .boolean()
     .default(false)
@@ -34,60 +51,139 @@ const SearchInputSchema = z.object({
   time_range: z
     .enum(["any", "day", "week", "month", "year"])
     .optional()
-    .describe("Time range filter for results"),
+    .describe("Time range filter for results, applied by the API and re-checked against publish dates"),
+  freshness: z
+    .enum(["any", "day", "week", "month", "year"])
+    .optional()
+    .describe("Alias of time_range"),
   region: z
     .string()
     .optional()
-    .describe("Geographic region for search results"),
+    .describe(`Country for localized results: ISO code or English name of one of ${Object.keys(COUNTRY_COORDINATES).join(", ")}`),
+  city: z
+    .string()
+    .optional()
+    .describe("City for localized results (e.g. 'Berlin' or 'Paris, FR'), overrides region"),
+  federated: z
+    .boolean()
+    .default(false)
+    .describe("Query every configured Presearch node (region) in parallel and merge the results. Costs one API call per node"),
+  sections: z
+    .array(z.enum(RESPONSE_SECTIONS))
+    .optional()
+    .describe(
+      "Response sections to include besides the results: info_box, top_stories, videos, related_searches, images, special_answers. All by default, [] for none",
+    ),
+  content_categories: z
+    .array(z.string())
+    .optional()
+    .describe(
+      `Keep only results of these categories: ${CONTENT_CATEGORIES.join(", ")}. A prefix such as "technology" matches all its categories`,
+    ),
+  include_domains: z
+    .array(z.string())
+    .optional()
+    .describe("Keep only results whose domain contains one of these (e.g. ['github.com'])"),
+  exclude_domains: z
+    .array(z.string())
+    .optional()
+    .describe("Drop results whose domain contains one of these"),
+  min_quality_score: z
+    .number()
+    .min(0)
+    .max(100)
+    .optional()
+    .describe("Drop results with a quality score (0-100) below this"),
+  sort: z
+    .enum(SORT_MODES)
+    .default("relevance")
+    .describe("Result order: relevance (engine order), quality (quality score) or recency (newest first)"),
+  lat: z.number().min(-90).max(90).optional().describe("Latitude for localized results, use with long"),
+  long: z.number().min(-180).max(180).optional().describe("Longitude for localized results, use with lat"),
 });
 
 export const searchTool = {
   name: "presearch_ai_search",
   description:
-    "Perform AI-optimized web search using Presearch decentralized search engine. Returns comprehensive results with titles, URLs, snippets, and optional AI analysis. Supports advanced search operators and filtering.",
+    "Perform AI-optimized web search using Presearch decentralized search engine. Returns comprehensive results with titles, URLs, snippets, and optional AI analysis, plus the info box, top stories, videos, related searches, images and special answers when the engine returns them. Supports advanced search operators and filtering.",
   inputSchema: SearchInputSchema,
   execute: withErrorHandling(
     async ({
       query,
       limit,
+      count,
+      page,
       include_analysis,
       safe_search,
       language,
       time_range,
+      freshness,
       region,
+      city,
+      lat,
+      long,
+      sections,
+      federated,
+      content_categories,
+      include_domains,
+      exclude_domains,
+      min_quality_score,
+      sort,
     }, context) => {
       const config = getConfig();
       const apiKey = context?.apiKey || config.apiKey;
       const startTime = Date.now();
+      const timeRange = time_range || freshness;
+      const resultLimit = count || limit;
 
       logToolUsage("presearch_ai_search", {
         query,
-        limit,
+        limit: resultLimit,
+        page,
         include_analysis,
         safe_search,
         language,
-        time_range,
+        time_range: timeRange,
         region,
+        city,
+        federated,
+        content_categories,
+        include_domains,
+        exclude_domains,
+        min_quality_score,
+        sort,
       });
 
       // Build search parameters
       const searchParams = {
         q: query,
-        max_results: limit,
+        max_results: resultLimit,
         safe_search: safe_search || config.search?.defaultSafeSearch || "moderate",
         language: language || config.search?.defaultLanguage || "en-US",
-        ...(time_range && { time_range }),
+        ...(timeRange && { time_range: timeRange }),
         ...(region && { region }),
       };
 
       try {
         // Use presearchService directly instead of config.presearchClient
         // The search method signature is search(query, options)
-        const searchResults = await presearchService.search(query, {
-           limit: limit,
+        const searchResults = await presearchService.searchPages(query, {
+           limit: resultLimit,
+           page,
            safesearch: searchParams.safe_search,
            lang: searchParams.language,
-           country: region, // map region to country if applicable
+           time_range: timeRange,
+           country: region,
+           city,
+           lat,
+           long,
+           sections: sections || RESPONSE_SECTIONS,
+           federated,
+           content_categories,
+           include_domains,
+           exclude_domains,
+           min_quality_score,
+           sort,
            apiKey
         });
 
@@ -104,10 +200,26 @@ export const searchTool = {
           query,
           total_results: searchResults.total_results || searchResults.results?.length || 0,
           results: searchResults.results || [],
+          ...searchResults.sections,
+          next_page: searchResults.nextPage,
           search_metadata: {
             engine: "presearch",
             language: searchParams.language,
             safe_search: searchParams.safe_search,
+            ...(timeRange && { time_range: timeRange }),
+            ...(searchResults.location && { location: searchResults.location }),
+            ...(searchResults.metadata?.pagination && { pagination: searchResults.metadata.pagination }),
+            ...(searchResults.metadata?.dateFilter && { date_filter: searchResults.metadata.dateFilter }),
+            ...(searchResults.parsedQuery && { parsed_query: searchResults.parsedQuery }),
+            ...(searchResults.nodes && { nodes: searchResults.nodes }),
+            ...(searchResults.metadata?.operatorFilter && { operator_filter: searchResults.metadata.operatorFilter }),
+            ...(sort !== "relevance" && { sort }),
+            cache_hit: Boolean(searchResults.metadata?.cacheHit),
+            ...(searchResults.metadata?.cacheAgeMs !== undefined && {
+              cache_age_seconds: Math.round(searchResults.metadata.cacheAgeMs / 1000),
+            }),
+            ...(searchResults.metadata?.cacheStale && { cache_stale: true }),
+            filters_removed: searchResults.metadata?.filters || {},
             timestamp: new Date().toISOString(),
             response_time_ms: Date.now() - startTime,
           },
@@ -123,6 +235,8 @@ export const searchTool = {
           ],
         };
       } catch (error) {
+        // Categorized search failures and validation errors reach the agent as they are
+        if (error instanceof AppError) throw error;
         throw new Error(`Search failed: ${error.message}`);
       }
     },
@@ -1,5 +1,14 @@
 import { presearchService } from "../services/presearchService.js";
 import { contentFetcher } from "../services/contentFetcher.js";
+import { createProgressReporter, cancelledResult } from "../utils/progress.js";
+import { SearchError, searchErrorResult } from "../utils/errors.js";
+
+// How each page was obtained, from contentFetcher's cacheStatus
+const CACHE_LABELS = {
+  hit: "fresh (from cache)",
+  revalidated: "revalidated (from cache, unchanged)",
+  miss: "miss (scraped)",
+};
 
 export const siteExportTool = {
   name: "presearch_site_export",
@@ -18,19 +27,43 @@ export const siteExportTool = {
     required: ["query"],
   },
   execute: async (args, context) => {
+    const reportProgress = createProgressReporter(context);
+    const signal = context?.extra?.signal;
+
     // 1. Search
-    const searchResults = await presearchService.search(args.query, {
-      limit: 5,
-      apiKey: context?.apiKey,
-    });
+    reportProgress({ stage: "searching" });
+    let searchResults;
+    try {
+      searchResults = await presearchService.search(args.query, {
+        limit: 5,
+        apiKey: context?.apiKey,
+        signal,
+      });
+    } catch (error) {
+      if (signal?.aborted) return cancelledResult("presearch_site_export");
+      if (error instanceof SearchError) return searchErrorResult(error);
+      throw error;
+    }
 
     // 2. Scrape
     const urls = searchResults.results.map((r) => r.url);
+    let pagesScraped = 0;
+    reportProgress({ stage: "scraping", queriesCompleted: 1, pagesScraped });
     const contents = await Promise.all(
-      urls.map((url) => contentFetcher.fetchContent(url)),
+      urls.map(async (url) => {
+        const page = await contentFetcher.fetchContent(url, { signal });
+        pagesScraped++;
+        reportProgress({ stage: "scraping", queriesCompleted: 1, pagesScraped });
+        return page;
+      }),
     );
 
+    if (signal?.aborted) {
+      return cancelledResult("presearch_site_export");
+    }
+
     // 3. Format
+    reportProgress({ stage: "formatting", queriesCompleted: 1, pagesScraped });
     let output;
     if (args.format === "json") {
       output = JSON.stringify(contents, null, 2);
@@ -38,7 +71,7 @@ export const siteExportTool = {
       output = contents
         .map(
           (c) =>
-            `# ${c.title}\nSource: ${c.url}\n\n${c.content?.substring(0, 1000)}...\n\n---\n`,
+            `# ${c.title}\nSource: ${c.url}\nCache: ${CACHE_LABELS[c.cacheStatus] || CACHE_LABELS.miss}\n\n${c.content?.substring(0, 1000)}...\n\n---\n`,
         )
         .join("\n");
     }
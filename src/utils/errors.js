@@ -38,6 +38,58 @@ export class ExternalServiceError extends AppError {
   }
 }
 
+/**
+ * A search that failed upstream or in result processing, categorized by
+ * ErrorCategorizer so agents can tell an outage from an empty result set
+ */
+export class SearchError extends AppError {
+  /**
+   * @param {object} categorized - ErrorCategorizer output
+   *   ({ category, retryable, message, hint, details })
+   * @param {Error} cause - The original error, if any
+   */
+  constructor(categorized, cause) {
+    const detail = categorized.details?.errorMessage;
+    super(
+      detail && detail !== categorized.message ? `${categorized.message}: ${detail}` : categorized.message,
+      "SEARCH_ERROR",
+      cause?.status || cause?.response?.status || 502,
+    );
+    this.name = "SearchError";
+    this.category = categorized.category;
+    this.retryable = Boolean(categorized.retryable);
+    this.retryAfter = categorized.details?.retryAfter ?? null;
+    this.hint = categorized.hint;
+    // Callers branch on the upstream status (402 = out of credits)
+    this.status = cause?.status || cause?.response?.status;
+    this.cause = cause;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      category: this.category,
+      retryable: this.retryable,
+      ...(this.retryAfter !== null && { retry_after_seconds: this.retryAfter }),
+      ...(this.hint && { hint: this.hint }),
+    };
+  }
+}
+
+/**
+ * Tool result for a failed search: an isError result that tells the agent
+ * the search failed, whether retrying helps and what to do instead
+ */
+export const searchErrorResult = (error) => ({
+  isError: true,
+  content: [
+    {
+      type: "text",
+      text: JSON.stringify(error.toJSON(), null, 2),
+    },
+  ],
+});
+
 /**
  * Wrapper for tool execution to handle errors consistently
  * @param {Function} fn - The async function to wrap
@@ -48,7 +100,12 @@ export const withErrorHandling = (fn) => async (...args) => {
     return await fn(...args);
   } catch (error) {
     logger.error("Error executing tool", { error: error.message, stack: error.stack });
-    
+
+    // Failed searches are results the agent has to see, not protocol errors
+    if (error instanceof SearchError) {
+      return searchErrorResult(error);
+    }
+
     if (error instanceof AppError) {
       throw error; // Re-throw known app errors
     }
@@ -0,0 +1,46 @@
+import logger from "../core/logger.js";
+
+/**
+ * Create a progress reporter for a tool call. Sends MCP notifications/progress
+ * when the caller supplied a progress token, otherwise does nothing.
+ * @param {object} context - Tool execution context ({ extra })
+ * @returns {Function} report({ stage, queriesCompleted, pagesScraped })
+ */
+export const createProgressReporter = (context) => {
+  const progressToken = context?.extra?._meta?.progressToken;
+  const sendNotification = context?.extra?.sendNotification;
+
+  if (progressToken === undefined || !sendNotification) {
+    return () => {};
+  }
+
+  // Progress must increase with every notification
+  let progress = 0;
+
+  return ({ stage, queriesCompleted = 0, pagesScraped = 0 }) => {
+    progress++;
+    sendNotification({
+      method: "notifications/progress",
+      params: {
+        progressToken,
+        progress,
+        message: `${stage}: ${queriesCompleted} queries completed, ${pagesScraped} pages scraped`,
+      },
+    }).catch((error) => {
+      logger.debug("Failed to send progress notification", { error: error.message });
+    });
+  };
+};
+
+/**
+ * Result returned when the client cancelled the tool call
+ */
+export const cancelledResult = (toolName) => ({
+  isError: true,
+  content: [
+    {
+      type: "text",
+      text: `${toolName} was cancelled`,
+    },
+  ],
+});
@@ -23,24 +23,80 @@ export const SearchParamsSchema = z.object({
     .describe("Safe search setting"),
 });
 
+// Search paths per research level when the caller does not choose, shared with ResearchService
+export const DEFAULT_RESEARCH_BREADTH = 3;
+
+// Budget limits shared by the deep research tools
+const ResearchBudgetFields = {
+  max_api_calls: z
+    .union([z.number(), z.string()])
+    .transform((val) => Number(val) || undefined)
+    .optional()
+    .describe("Budget: maximum Presearch API requests, node failovers and retries included; cached searches are free (default: 30)"),
+  max_pages: z
+    .union([z.number(), z.string()])
+    .transform((val) => Number(val) || undefined)
+    .optional()
+    .describe("Budget: maximum pages to scrape (default: 40)"),
+  max_seconds: z
+    .union([z.number(), z.string()])
+    .transform((val) => Number(val) || undefined)
+    .optional()
+    .describe("Budget: maximum wall-clock seconds (default: 600)"),
+  max_report_chars: z
+    .union([z.number(), z.string()])
+    .transform((val) => Number(val) || undefined)
+    .optional()
+    .describe("Budget: maximum characters in the Markdown report (default: 50000)"),
+};
+
 // Deep research parameters
 export const DeepResearchSchema = z.object({
   query: z.string().describe("Research topic or question"),
   breadth: z
     .union([z.number(), z.string()])
-    .transform((val) => Number(val) || 4)
+    .transform((val) => Number(val) || DEFAULT_RESEARCH_BREADTH)
     .optional()
-    .describe("Number of parallel search paths (2-10)"),
+    .describe(`Number of parallel search paths per level (1-5, default: ${DEFAULT_RESEARCH_BREADTH})`),
   depth: z
     .union([z.number(), z.string()])
     .transform((val) => Number(val) || 2)
     .optional()
-    .describe("Depth of recursive research (1-5)"),
+    .describe("Depth of recursive research (1-3)"),
   research_focus: z
     .enum(["general", "academic", "market", "technical", "news"])
     .optional()
-    .describe("Focus area for research"),
-  location: z.string().optional().describe("Geographic context (e.g., 'US')"),
+    .describe(
+      "Focus area for research: tailors query templates, favoured domains, ranking and report layout",
+    ),
+  location: z
+    .string()
+    .optional()
+    .describe("Country for localized results: ISO code (e.g., 'US') or English name, see presearch://supported-countries"),
+  ...ResearchBudgetFields,
+});
+
+// Continue a finished deep research session
+export const ResearchExtendSchema = z.object({
+  research_id: z
+    .string()
+    .describe("researchId of a presearch_deep_research report, or the job id of a finished research job"),
+  sub_topic: z
+    .string()
+    .optional()
+    .describe("Query of an existing sub-topic to research deeper (see subTopics in the report)"),
+  angle: z.string().optional().describe("New angle to add as a sub-topic of the report"),
+  depth: z
+    .union([z.number(), z.string()])
+    .transform((val) => Number(val) || 1)
+    .optional()
+    .describe("Levels to add below the chosen sub-topic or new angle (1-2)"),
+  breadth: z
+    .union([z.number(), z.string()])
+    .transform((val) => Number(val) || DEFAULT_RESEARCH_BREADTH)
+    .optional()
+    .describe(`Number of search paths per new level (1-5, default: ${DEFAULT_RESEARCH_BREADTH})`),
+  ...ResearchBudgetFields,
 });
 
 // Scrape parameters
@@ -0,0 +1,116 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { ApiClient } from '../src/core/apiClient.js';
+import { NodePool } from '../src/core/nodePool.js';
+import { ResearchBudget } from '../src/services/researchBudget.js';
+
+// Local stand-ins for Presearch nodes; each behaves as its handler says
+const startNode = (name, handler) =>
+  new Promise((resolve) => {
+    const server = http.createServer((req, res) => handler(req, res, name));
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+
+const ok = (req, res, name) => {
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ node: name, results: [{ title: name, url: `https://${name}.example` }] }));
+};
+
+describe('Node failover in ApiClient', () => {
+  const nodes = {};
+
+  before(async () => {
+    nodes.down = await startNode('down', (req, res) => {
+      res.statusCode = 503;
+      res.end('unavailable');
+    });
+    nodes.hanging = await startNode('hanging', () => {});
+    nodes.slow = await startNode('slow', (req, res, name) => setTimeout(() => ok(req, res, name), 80));
+    nodes.fast = await startNode('fast', ok);
+    nodes.missing = await startNode('missing', (req, res) => {
+      res.statusCode = 404;
+      res.end('not found');
+    });
+  });
+
+  after(() => {
+    for (const { server } of Object.values(nodes)) {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  const client = (...names) =>
+    new ApiClient({ baseUrls: names.map((name) => nodes[name].url), retries: 0, timeout: 300 });
+
+  it('fails over on 5xx and skips the failed node afterwards', async () => {
+    const api = client('down', 'fast');
+    const first = await api.get('/v1/search');
+    assert.equal(first.data.node, 'fast');
+
+    const [down, fast] = api.getNodeStats();
+    assert.equal(down.healthy, false);
+    assert.equal(down.failures, 1);
+    assert.equal(fast.healthy, true);
+
+    await api.get('/v1/search');
+    assert.equal(api.getNodeStats()[0].requests, 1, 'cooling node should not be retried');
+  });
+
+  it('fails over on timeouts', async () => {
+    const api = client('hanging', 'fast');
+    const response = await api.get('/v1/search');
+    assert.equal(response.data.node, 'fast');
+    assert.match(api.getNodeStats()[0].lastError, /timeout/i);
+  });
+
+  it('stops failing over once the caller\'s request budget is spent', async () => {
+    const api = client('down', 'fast');
+    const budget = new ResearchBudget({ maxApiCalls: 1 });
+    budget.useApiCall(); // The first attempt, charged by the caller
+    await assert.rejects(api.get('/v1/search', { __requestBudget: budget }), (error) => error.response?.status === 503);
+    assert.equal(api.getNodeStats()[1].requests, 0);
+    assert.equal(budget.getSummary().used.apiCalls, 1);
+
+    const roomy = new ResearchBudget({ maxApiCalls: 2 });
+    roomy.useApiCall();
+    const response = await client('down', 'fast').get('/v1/search', { __requestBudget: roomy });
+    assert.equal(response.data.node, 'fast');
+    assert.equal(roomy.getSummary().used.apiCalls, 2);
+  });
+
+  it('does not fail over on client errors', async () => {
+    const api = client('missing', 'fast');
+    await assert.rejects(api.get('/v1/search'), (error) => error.response?.status === 404);
+    assert.equal(api.getNodeStats()[1].requests, 0);
+  });
+
+  it('prefers the node with the lower measured latency', async () => {
+    const api = client('slow', 'fast');
+    await api.get('/v1/search'); // measures slow
+    await api.get('/v1/search'); // measures fast
+    const response = await api.get('/v1/search');
+    assert.equal(response.data.node, 'fast');
+  });
+
+  it('queries every healthy node for federated requests', async () => {
+    const api = client('slow', 'fast', 'down');
+    const responses = await api.getFromAllNodes('/v1/search');
+    assert.deepEqual(responses.map((r) => r.response.data.node).sort(), ['fast', 'slow']);
+    assert.equal(api.getNodeStats()[2].healthy, false);
+  });
+});
+
+describe('NodePool', () => {
+  it('falls back to the node that recovers first when all are cooling down', () => {
+    const pool = new NodePool(['https://a.example/', 'https://b.example']);
+    pool.recordFailure('https://a.example', new Error('boom'));
+    pool.recordFailure('https://b.example', new Error('boom'));
+    pool.recordFailure('https://b.example', new Error('boom again'));
+    assert.equal(pool.pick().url, 'https://a.example');
+    assert.equal(pool.pick(['https://a.example', 'https://b.example']), null);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import axios from 'axios';
+import { apiClient } from '../src/core/apiClient.js';
+import { createProgressReporter } from '../src/utils/progress.js';
+
+describe('Request cancellation', () => {
+  // A server that accepts requests and never answers
+  const sockets = new Set();
+  const server = http.createServer(() => {});
+  server.on('connection', (socket) => sockets.add(socket));
+
+  after(() => {
+    sockets.forEach((socket) => socket.destroy());
+    server.close();
+  });
+
+  it('aborts an in-flight API request when the signal fires', async () => {
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    const controller = new AbortController();
+
+    const started = Date.now();
+    setTimeout(() => controller.abort(), 50);
+
+    await assert.rejects(
+      apiClient.get(`http://127.0.0.1:${port}/v1/search`, { signal: controller.signal }),
+      (error) => axios.isCancel(error),
+    );
+    assert.ok(Date.now() - started < 2000, 'request should stop well before the timeout');
+  });
+});
+
+describe('createProgressReporter', () => {
+  it('does nothing without a progress token', () => {
+    const sent = [];
+    const report = createProgressReporter({ extra: { _meta: {}, sendNotification: async (n) => sent.push(n) } });
+    report({ stage: 'searching' });
+    assert.equal(sent.length, 0);
+  });
+
+  it('sends increasing progress with stage, queries and pages', () => {
+    const sent = [];
+    const report = createProgressReporter({
+      extra: { _meta: { progressToken: 'tok' }, sendNotification: async (n) => sent.push(n) },
+    });
+    report({ stage: 'searching' });
+    report({ stage: 'scraping', queriesCompleted: 1, pagesScraped: 2 });
+
+    assert.deepEqual(sent.map((n) => n.params.progress), [1, 2]);
+    assert.equal(sent[1].method, 'notifications/progress');
+    assert.equal(sent[1].params.progressToken, 'tok');
+    assert.equal(sent[1].params.message, 'scraping: 1 queries completed, 2 pages scraped');
+  });
+});
@@ -101,3 +101,73 @@ describe('Config Utilities', () => {
     });
   });
 });
+
+describe('loadConfig', () => {
+  const withEnv = (env, fn) => {
+    const saved = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]));
+    Object.assign(process.env, env);
+    try {
+      return fn();
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+  };
+
+  it('reads the cache settings, with CACHE_TTL in seconds', () => {
+    const config = withEnv({ CACHE_ENABLED: 'false', CACHE_TTL: '60', CACHE_MAX_KEYS: '25', CACHE_MAX_MB: '2', CACHE_STORE: 'file', CACHE_DIR: '/tmp/presearch', CACHE_STALE_TTL: '0' }, loadConfig);
+    assert.deepEqual(config.cache, { enabled: false, ttl: 60000, maxSize: 25, maxBytes: 2 * 1024 * 1024, staleWindow: 0, store: 'file', dir: '/tmp/presearch' });
+  });
+
+  it('reads per-domain scrape cache TTLs in seconds', () => {
+    const config = withEnv({ SCRAPE_CACHE_TTL: '600', SCRAPE_CACHE_DOMAIN_TTLS: 'Docs.Python.org=86400, news.example.com=0, broken' }, loadConfig);
+    assert.equal(config.scrapeCache.ttl, 600000);
+    assert.equal(config.scrapeCache.maxSize, 200);
+    assert.equal(config.scrapeCache.maxBytes, 20 * 1024 * 1024);
+    assert.deepEqual(config.scrapeCache.domainTtls, { 'docs.python.org': 86400000, 'news.example.com': 0 });
+  });
+
+  it('falls back to the default of an invalid cache setting only', () => {
+    const config = withEnv({ PRESEARCH_API_KEY: 'key-123', CACHE_TTL: 'soon', CACHE_MAX_KEYS: '-5', CACHE_MAX_MB: '8', CACHE_STORE: 'disk' }, loadConfig);
+    assert.equal(config.apiKey, 'key-123');
+    assert.equal(config.cache.ttl, 300000);
+    assert.equal(config.cache.maxSize, 1000);
+    assert.equal(config.cache.maxBytes, 8 * 1024 * 1024);
+    assert.equal(config.cache.store, 'memory');
+  });
+
+  it('keeps the API key when another setting is invalid', () => {
+    const config = withEnv({ PRESEARCH_API_KEY: 'key-123', LOG_LEVEL: 'verbose', PRESEARCH_TIMEOUT: '5000' }, loadConfig);
+    assert.equal(config.apiKey, 'key-123');
+    assert.equal(config.logLevel, 'info');
+    assert.equal(config.timeout, 5000);
+  });
+
+  it('adds https:// to bare node hosts and skips invalid node URLs', () => {
+    const config = withEnv({ PRESEARCH_API_KEY: 'key-123', PRESEARCH_BASE_URLS: 'na-us-1.presearch.com, https://eu.example.com, ftp://x y' }, loadConfig);
+    assert.equal(config.apiKey, 'key-123');
+    assert.deepEqual(config.baseUrls, ['https://na-us-1.presearch.com', 'https://eu.example.com']);
+  });
+
+  it('keeps the API key and falls back to baseUrl when no node URL is valid', () => {
+    const config = withEnv({ PRESEARCH_API_KEY: 'key-123', PRESEARCH_BASE_URLS: 'http://, ::bad::' }, loadConfig);
+    assert.equal(config.apiKey, 'key-123');
+    assert.deepEqual(config.baseUrls, []);
+    assert.equal(config.baseUrl, 'https://na-us-1.presearch.com');
+  });
+
+  it('accepts CACHE_TTL=0, which turns the search cache off', () => {
+    const config = withEnv({ PRESEARCH_API_KEY: 'key-123', CACHE_TTL: '0' }, loadConfig);
+    assert.equal(config.apiKey, 'key-123');
+    assert.equal(config.cache.ttl, 0);
+  });
+
+  it('defaults to an enabled five minute cache in memory', () => {
+    const config = withEnv({ CACHE_ENABLED: '', CACHE_TTL: '', CACHE_MAX_KEYS: '', CACHE_MAX_MB: '', CACHE_STORE: '', CACHE_DIR: '', CACHE_STALE_TTL: '' }, loadConfig);
+    const { dir, ...cache } = config.cache;
+    assert.deepEqual(cache, { enabled: true, ttl: 300000, maxSize: 1000, maxBytes: 50 * 1024 * 1024, staleWindow: 0, store: 'memory' });
+    assert.equal(dir, undefined);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContentAnalysisService } from '../src/services/contentAnalysisService.js';
+import { ReportBuilder } from '../src/services/reportBuilder.js';
+
+const doc = (url, text) => ({ source: { url, title: url.toUpperCase() }, text });
+
+describe('Contradiction detection', () => {
+  const analyzer = new ContentAnalysisService();
+
+  it('extracts numbers, dates and named facts with their subject', () => {
+    const claims = analyzer.extractClaims(
+      'The network has 4.5 million users. It launched on March 3, 2021. The protocol was designed by Alice Smith.',
+    );
+    const byKind = Object.fromEntries(claims.map((c) => [c.kind, c]));
+
+    assert.equal(byKind.number.value, 4500000);
+    assert.equal(byKind.number.subject, 'network users');
+    assert.equal(byKind.date.value, '2021-03-03');
+    assert.equal(byKind.fact.value, 'Alice Smith');
+  });
+
+  it('flags values that differ between sources and lists who states each', () => {
+    const contradictions = analyzer.findContradictions([
+      doc('a', 'Presearch was founded in 2017. The network has 4.5 million users.'),
+      doc('b', 'Presearch was founded in 2018. The network has 3.8 million users.'),
+      doc('c', 'The network has 4.5 million users.'),
+    ]);
+
+    const users = contradictions.find((c) => c.subject === 'network users');
+    assert.deepEqual(users.values.map((v) => v.value), ['4.5 million', '3.8 million']);
+    assert.deepEqual(users.values[0].sources.map((s) => s.url), ['a', 'c']);
+
+    const founded = contradictions.find((c) => c.kind === 'date');
+    assert.deepEqual(founded.values.map((v) => v.value), ['2017', '2018']);
+  });
+
+  it('ignores agreeing sources, rounding and series within one source', () => {
+    const contradictions = analyzer.findContradictions([
+      doc('a', 'Revenue grew 12% last year. Sales reached $1,000,000 in total.'),
+      doc('b', 'Revenue grew 12 percent last year. Sales reached $1.001 million in total.'),
+      doc('c', 'Revenue grew 12% in Europe and revenue grew 30% in Asia.'),
+    ]);
+    assert.deepEqual(contradictions, []);
+  });
+
+  it('adds a cited section to the report', () => {
+    const contradictions = analyzer.findContradictions([
+      doc('https://a.example', 'The network has 4.5 million users.'),
+      doc('https://b.example', 'The network has 3.8 million users.'),
+    ]);
+    const root = { query: 'presearch', sources: [], subTopics: [] };
+    const report = new ReportBuilder().build('presearch', root, new Map(), undefined, contradictions);
+
+    assert.match(report.markdown, /## Conflicting Claims/);
+    assert.match(report.markdown, /\*\*network users\*\* \(number\): 4\.5 million \[1\] vs 3\.8 million \[2\]/);
+    assert.equal(report.bibliography.length, 2);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, appendFileSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { EnhancedCache } from '../src/services/resultProcessor.js';
+import { FileCacheStore } from '../src/core/cacheStore.js';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('EnhancedCache', () => {
+  let cache;
+  afterEach(() => cache?.destroy());
+
+  it('evicts the least recently used entry, not the first inserted', () => {
+    cache = new EnhancedCache(60000, 2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    assert.equal(cache.get('b'), null);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('c'), 3);
+    assert.equal(cache.getMetrics().evictions, 1);
+  });
+
+  it('honours per-entry TTL overrides', async () => {
+    cache = new EnhancedCache(60000, 10);
+    cache.set('short', 'x', 10);
+    cache.set('default', 'y');
+    await wait(20);
+
+    assert.equal(cache.get('short'), null);
+    assert.equal(cache.get('default'), 'y');
+    assert.equal(cache.getMetrics().expirations, 1);
+  });
+
+  it('serves entries within the stale window through getEntry only', async () => {
+    cache = new EnhancedCache(10, 10, true, { staleWindow: 60000, sweepInterval: 0 });
+    cache.set('a', 'x');
+    await wait(20);
+
+    assert.equal(cache.get('a'), null);
+    const entry = cache.getEntry('a');
+    assert.equal(entry.data, 'x');
+    assert.equal(entry.stale, true);
+    assert.ok(entry.ageMs >= 10);
+    assert.equal(cache.getMetrics().staleHits, 1);
+  });
+
+  it('sweeps expired entries without reads', async () => {
+    cache = new EnhancedCache(10, 10, true, { sweepInterval: 15 });
+    cache.set('a', 'x');
+    cache.set('b', 'y');
+    await wait(40);
+
+    const metrics = cache.getMetrics();
+    assert.equal(metrics.size, 0);
+    assert.equal(metrics.bytes, 0);
+    assert.equal(metrics.expirations, 2);
+    assert.equal(metrics.totalRequests, 0);
+  });
+
+  it('keeps the approximate payload size under maxBytes', () => {
+    const page = { content: 'x'.repeat(10 * 1024) };
+    cache = new EnhancedCache(60000, 1000, true, { maxBytes: 25 * 1024 });
+    cache.set('one', page);
+    cache.set('two', page);
+    cache.set('three', page);
+
+    const metrics = cache.getMetrics();
+    assert.equal(metrics.size, 2);
+    assert.ok(metrics.bytes <= 25 * 1024);
+    assert.equal(cache.get('one'), null);
+
+    cache.set('huge', { content: 'x'.repeat(30 * 1024) });
+    assert.equal(cache.get('huge'), null, 'entries over the cap are not cached');
+    assert.equal(cache.getMetrics().size, 2);
+  });
+
+  it('tracks bytes when an entry is replaced', () => {
+    cache = new EnhancedCache(60000, 10);
+    cache.set('a', 'x'.repeat(100));
+    const before = cache.getMetrics().bytes;
+    cache.set('a', 'x'.repeat(100));
+    assert.equal(cache.getMetrics().bytes, before);
+    cache.clear();
+    assert.equal(cache.getMetrics().bytes, 0);
+  });
+});
+
+describe('FileCacheStore', () => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'presearch-cache-'));
+  const file = path.join(dir, 'search-cache.jsonl');
+  const open = () => {
+    const store = new FileCacheStore(file);
+    const cache = new EnhancedCache(60000, 10, true, { sweepInterval: 0, store });
+    return { cache, store };
+  };
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('restores unexpired entries in a new cache instance', async () => {
+    const { cache: first, store } = open();
+    first.set('kept', { results: ['a'] });
+    first.set('short', 'x', 10);
+    first.set('removed', 'y');
+    first.remove('removed');
+    await wait(20);
+    await store.flush();
+
+    const { cache: second } = open();
+    assert.deepEqual(second.get('kept'), { results: ['a'] });
+    assert.equal(second.get('short'), null);
+    assert.equal(second.get('removed'), null);
+    assert.equal(second.getMetrics().size, 1);
+  });
+
+  it('writes asynchronously, off the calling path', async () => {
+    const { cache, store } = open();
+    const before = readFileSync(file, 'utf8');
+    cache.set('async', 'value');
+    assert.equal(readFileSync(file, 'utf8'), before);
+
+    await store.flush();
+    assert.match(readFileSync(file, 'utf8'), /"key":"async"/);
+    cache.remove('async');
+    await store.flush();
+  });
+
+  it('skips a torn last line and compacts the log', async () => {
+    appendFileSync(file, '{"key":"torn","entry":{"da');
+    const { cache, store } = open();
+    assert.equal(cache.getMetrics().size, 1);
+
+    for (let i = 0; i < 150; i++) cache.set(`key-${i % 5}`, i);
+    await store.flush();
+    const lines = readFileSync(file, 'utf8').trim().split('\n');
+    assert.ok(lines.length < 100, `log not compacted: ${lines.length} lines`);
+    assert.equal(open().cache.get('key-4'), 149);
+
+    cache.clear();
+    await store.flush();
+    assert.equal(open().cache.getMetrics().size, 0);
+  });
+
+  it('keeps the record after a torn line', async () => {
+    appendFileSync(file, '{"key":"torn","entry":{"da');
+    const { cache, store } = open();
+    cache.set('after-torn', 'kept');
+    await store.flush();
+    assert.equal(open().cache.get('after-torn'), 'kept');
+  });
+});
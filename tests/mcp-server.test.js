@@ -0,0 +1,48 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { createMcpServer } from '../src/mcp-server.js';
+
+describe('tools/call', () => {
+  let client;
+  let server;
+
+  before(async () => {
+    server = await createMcpServer({ apiKey: 'test-key' });
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  });
+
+  after(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  it('returns a tool error for an unsupported region', async () => {
+    const result = await client.callTool({ name: 'presearch_ai_search', arguments: { query: 'test', region: 'Narnia' } });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /Unknown country 'Narnia'/);
+  });
+
+  it('returns a tool error for an invalid page cursor', async () => {
+    const result = await client.callTool({ name: 'presearch_ai_search', arguments: { query: 'test', page: 'garbage!!' } });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /Invalid page: garbage!!/);
+  });
+
+  it('returns a tool error when search and scrape gets a bad location', async () => {
+    const result = await client.callTool({ name: 'presearch_search_and_scrape', arguments: { query: 'test', location: 'Narnia' } });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /Supported countries/);
+  });
+
+  it('rejects an unknown tool with InvalidParams', async () => {
+    await assert.rejects(
+      client.callTool({ name: 'presearch_nonexistent', arguments: {} }),
+      (error) => error.code === ErrorCode.InvalidParams && /Tool not found/.test(error.message),
+    );
+  });
+});
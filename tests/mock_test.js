@@ -1,5 +1,6 @@
 
 import { searchTool } from '../src/tools/search.js';
+import { batchSearchTool } from '../src/tools/batch-search.js';
 import { searchAndScrapeTool } from '../src/tools/search-scrape.js';
 import { deepResearchTool } from '../src/tools/deep-research.js';
 import { scrapeTool } from '../src/tools/scrape.js';
@@ -7,7 +8,11 @@ import { siteExportTool } from '../src/tools/site-export.js';
 import { exportResultsTool } from '../src/tools/export.js';
 import { healthTool } from '../src/tools/health.js';
 import { cacheStatsTool, cacheClearTool } from '../src/tools/cache.js';
+import { researchStartTool, researchStatusTool, researchResultTool, researchCancelTool } from '../src/tools/research-jobs.js';
+import { researchExtendTool } from '../src/tools/research-extend.js';
+import { researchJobs, MAX_RUNNING_JOBS } from '../src/services/researchJobs.js';
 import { apiClient } from '../src/core/apiClient.js';
+import { contentFetcher } from '../src/services/contentFetcher.js';
 
 // Mock the API Client
 const originalGet = apiClient.get;
@@ -15,17 +20,19 @@ apiClient.get = async (url, config) => {
   console.log(`[MOCK] GET ${url}`);
   
   if (url === '/v1/search') {
+    // Vary URLs by query so multi-query tools see distinct sources
+    const slug = encodeURIComponent(config?.params?.q || '');
     return {
       data: {
         results: [
           {
             title: "Mock Result 1",
-            url: "https://example.com/1",
+            url: `https://example.com/1?q=${slug}`,
             description: "This is a mock result for testing."
           },
           {
             title: "Mock Result 2",
-            url: "https://example.com/2",
+            url: `https://example.com/2?q=${slug}`,
             description: "Another mock result."
           }
         ],
@@ -39,8 +46,13 @@ apiClient.get = async (url, config) => {
   return originalGet.call(apiClient, url, config);
 };
 
-// Mock Scrape functionality indirectly via search results or create a mock scraper if needed
-// For now, we rely on the tools handling the mock data.
+// Mock the scraper so no browser is launched
+contentFetcher.fetchContent = async (url) => ({
+  url,
+  title: `Scraped ${url}`,
+  content: "Mock page content about decentralized indexing and privacy engineering.",
+  scrapedAt: new Date().toISOString()
+});
 
 async function runMockTests() {
   console.log('🧪 Starting Mock Verification Tests...');
@@ -76,6 +88,306 @@ async function runMockTests() {
     if (searchData.results[0].title !== "Mock Result 1") throw new Error("Unexpected result data");
   });
 
+  // 1a. Test time range filtering (Mocked)
+  await runStep('presearch_ai_search (time range)', async () => {
+    const mockedGet = apiClient.get;
+    const day = 24 * 60 * 60 * 1000;
+    const format = (ms) => new Date(ms).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    let sentParams = null;
+    apiClient.get = async (url, config) => {
+      sentParams = config.params;
+      return {
+        data: {
+          results: [
+            { title: "Fresh story", url: "https://news.example/fresh", description: `${format(Date.now() - 2 * day)} · Fresh news.` },
+            { title: "Old story", url: "https://news.example/old", description: `${format(Date.now() - 40 * day)} · Old news.` },
+            { title: "Relative story", url: "https://news.example/relative", description: "5 hours ago · Breaking." },
+            { title: "Undated story", url: "https://news.example/undated", description: "No date in this snippet." }
+          ]
+        }
+      };
+    };
+    try {
+      const result = await searchTool.execute({ query: "mock news", limit: 10, freshness: "week" });
+      const data = JSON.parse(result.content[0].text);
+      if (sentParams.time !== 'week') throw new Error(`time_range not sent to the API: ${sentParams.time}`);
+      const titles = data.results.map(r => r.title);
+      if (titles.includes('Old story')) throw new Error("Result older than the time range was kept");
+      if (titles.length !== 3) throw new Error(`Expected 3 results, got ${titles.join(', ')}`);
+      if (data.search_metadata.time_range !== 'week' || data.search_metadata.date_filter.removed !== 1) throw new Error("Date filter not reported");
+    } finally {
+      apiClient.get = mockedGet;
+    }
+  });
+
+  // 1b. Test localized search (Mocked)
+  await runStep('presearch_ai_search (location)', async () => {
+    const mockedGet = apiClient.get;
+    const sent = [];
+    apiClient.get = async (url, config) => {
+      sent.push(config.params);
+      return mockedGet(url, config);
+    };
+    try {
+      await searchTool.execute({ query: "mock local", limit: 2 });
+      if (sent[0].ip !== '1.1.1.1' || sent[0].location) throw new Error("Unlocalized search should fall back to an IP");
+
+      const byCountry = JSON.parse((await searchTool.execute({ query: "mock local", limit: 2, region: "Germany" })).content[0].text);
+      if (sent[1].ip || JSON.parse(sent[1].location).lat !== 52.52) throw new Error("Country not sent as coordinates");
+      if (byCountry.search_metadata.location.country !== 'DE') throw new Error("Location not reported");
+
+      await searchTool.execute({ query: "mock local", limit: 2, city: "Paris, FR" });
+      if (JSON.parse(sent[2].location).long !== 2.3522) throw new Error("City not sent as coordinates");
+
+      await searchTool.execute({ query: "mock local", limit: 2, lat: 47.6, long: -122.3 });
+      if (sent[3].location !== '{"lat":47.6,"long":-122.3}') throw new Error("Coordinates not passed through");
+
+      const unsupported = await searchTool.execute({ query: "mock local", limit: 2, region: "NL" }).catch(error => error);
+      if (!(unsupported instanceof Error) || !unsupported.message.includes('Supported countries: US')) throw new Error("Unsupported country accepted");
+
+      const scraped = await searchAndScrapeTool.execute({ query: "mock local", limit: 1, location: "NL" }).catch(error => error);
+      if (!(scraped instanceof Error) || !scraped.message.includes('Supported countries')) throw new Error("Unsupported country accepted by search and scrape");
+    } finally {
+      apiClient.get = mockedGet;
+    }
+  });
+
+  // 1c. Test pagination (Mocked)
+  await runStep('presearch_ai_search (pagination)', async () => {
+    const mockedGet = apiClient.get;
+    const pagesRequested = [];
+    // Three results per page for four pages, page 2 repeats a result of page 1
+    apiClient.get = async (url, config) => {
+      const page = config.params.page;
+      pagesRequested.push(page);
+      const results = page > 4 ? [] : [1, 2, 3].map(i => ({
+        title: `Paged result ${page}-${i} about a distinct subject number ${page * 10 + i}`,
+        url: page === 2 && i === 1 ? 'https://paged.example/1/1' : `https://paged.example/${page}/${i}`,
+        description: `Unique description ${page}-${i} for pagination testing ${'x'.repeat(page * 3 + i)}`
+      }));
+      return { data: { results } };
+    };
+    try {
+      const first = JSON.parse((await searchTool.execute({ query: "mock pages", limit: 7 })).content[0].text);
+      if (first.results.length !== 7) throw new Error(`Expected 7 results, got ${first.results.length}`);
+      if (new Set(first.results.map(r => r.url)).size !== 7) throw new Error("Duplicate across pages kept");
+      if (pagesRequested.join(',') !== '1,2,3') throw new Error(`Unexpected pages ${pagesRequested.join(',')}`);
+      if (!first.next_page) throw new Error("No next_page cursor");
+
+      pagesRequested.length = 0;
+      const rest = JSON.parse((await searchTool.execute({ query: "mock pages", limit: 10, page: first.next_page })).content[0].text);
+      if (rest.results[0].url !== 'https://paged.example/3/3') throw new Error(`Cursor did not resume after the last result: ${rest.results[0].url}`);
+      if (rest.results.length !== 4 || rest.next_page !== null) throw new Error("Results should run out without a cursor");
+
+      pagesRequested.length = 0;
+      await searchTool.execute({ query: "mock pages", limit: 2, page: 4 });
+      if (pagesRequested.join(',') !== '4') throw new Error("page parameter not honoured");
+    } finally {
+      apiClient.get = mockedGet;
+    }
+  });
+
+  // 1d. Test rich response sections (Mocked)
+  await runStep('presearch_ai_search (sections)', async () => {
+    const mockedGet = apiClient.get;
+    apiClient.get = async () => ({
+      data: {
+        standardResults: [{ title: 'Section result', link: 'https://sections.example', description: 'A result next to rich sections' }],
+        infoSection: { data: { title: 'Presearch', subtitle: 'Search engine', about: [{ label: 'Founded', value: '2017' }] } },
+        topStories: [{ title: 'Story', link: 'https://news.example/story', source: 'News' }],
+        videos: [{ title: 'Video', link: 'https://video.example/v', duration: '3:10' }],
+        relatedSearches: ['presearch token', { query: 'presearch nodes' }],
+        specialSections: { images: [{ title: 'Logo', image: 'https://img.example/logo.png' }], calculator: { expression: '2+2', result: '4' } }
+      }
+    });
+    try {
+      const all = JSON.parse((await searchTool.execute({ query: "mock sections", limit: 2 })).content[0].text);
+      if (all.results.length !== 1) throw new Error("Standard results lost");
+      if (all.info_box[0].facts[0].value !== '2017') throw new Error("Info box not extracted");
+      if (all.top_stories[0].url !== 'https://news.example/story' || all.videos[0].duration !== '3:10') throw new Error("Stories or videos not extracted");
+      if (all.related_searches.map(r => r.query).join('|') !== 'presearch token|presearch nodes') throw new Error("Related searches not extracted");
+      if (all.images[0].imageUrl !== 'https://img.example/logo.png') throw new Error("Images not extracted");
+      if (all.special_answers[0].type !== 'calculator' || all.special_answers[0].result !== '4') throw new Error("Special answers not extracted");
+
+      const some = JSON.parse((await searchTool.execute({ query: "mock sections", limit: 2, sections: ['videos'] })).content[0].text);
+      if (!some.videos || some.info_box || some.top_stories) throw new Error("Section toggles not honoured");
+
+      const none = JSON.parse((await searchTool.execute({ query: "mock sections", limit: 2, sections: [] })).content[0].text);
+      if (none.videos || none.related_searches) throw new Error("sections: [] should return results only");
+    } finally {
+      apiClient.get = mockedGet;
+    }
+  });
+
+  // 1e. Test search operators (Mocked)
+  await runStep('presearch_ai_search (operators)', async () => {
+    const kept = JSON.parse((await searchTool.execute({ query: "mock site:example.com", limit: 2 })).content[0].text);
+    if (kept.results.length !== 2) throw new Error("Matching results were filtered");
+    if (kept.search_metadata.parsed_query.site[0] !== 'example.com') throw new Error("Parsed query not reported");
+
+    const filtered = JSON.parse((await searchTool.execute({ query: "mock site:presearch.io", limit: 2 })).content[0].text);
+    if (filtered.results.length !== 0) throw new Error("site: not enforced on results the engine returned anyway");
+    if (filtered.search_metadata.operator_filter.byOperator.site !== 2) throw new Error("Operator filter not reported");
+  });
+
+  // 1f. Test batch search with rank fusion (Mocked)
+  await runStep('presearch_batch_search', async () => {
+    const mockedGet = apiClient.get;
+    const pages = {
+      'shared result': { title: 'Shared result on node rewards', url: 'https://batch.example/shared', description: 'Returned by every variant of the query' },
+      'alpha only': { title: 'Alpha only page about staking', url: 'https://batch.example/alpha', description: 'Only the alpha variant finds this page' },
+      'beta only': { title: 'Beta only page about gateways', url: 'https://batch.example/beta', description: 'Only the beta variant finds this one' },
+    };
+    const rankings = {
+      'variant alpha': ['alpha only', 'shared result'],
+      'variant beta': ['beta only', 'shared result'],
+      'variant gamma': ['shared result'],
+    };
+    let inFlight = 0;
+    let maxInFlight = 0;
+    apiClient.get = async (url, config) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      if (config.params.q === 'variant broken') throw new Error('Upstream timeout');
+      return { data: { results: rankings[config.params.q].map(key => ({ ...pages[key] })) } };
+    };
+    try {
+      const result = await batchSearchTool.execute({
+        queries: ['variant alpha', 'variant beta', 'variant gamma', 'Variant Alpha', 'variant broken'],
+        concurrency: 2,
+        limit: 10,
+      });
+      const data = JSON.parse(result.content[0].text);
+      if (maxInFlight > 2) throw new Error(`Concurrency limit ignored: ${maxInFlight} in flight`);
+      if (data.queries.length !== 4) throw new Error("Duplicate queries were not dropped");
+      if (!data.queries.find(q => q.query === 'variant broken').error) throw new Error("Failed query not reported");
+      if (data.results.length !== 3) throw new Error(`Expected 3 merged results, got ${data.results.length}`);
+      const [top] = data.results;
+      if (top.url !== 'https://batch.example/shared') throw new Error(`Result found by all variants should rank first, got ${top.url}`);
+      if (top.matchedQueries.map(m => m.query).sort().join(',') !== 'variant alpha,variant beta,variant gamma') throw new Error("Matched queries not recorded");
+      if (!(top.rrfScore > data.results[1].rrfScore)) throw new Error("Results not ordered by fused score");
+
+      const failed = await batchSearchTool.execute({ queries: ['variant broken'] });
+      if (!failed.isError || JSON.parse(failed.content[0].text).category !== 'TIMEOUT_ERROR') {
+        throw new Error("A batch where every query failed should be a categorized error");
+      }
+    } finally {
+      apiClient.get = mockedGet;
+    }
+  });
+
+  // 1g. Test federated search across nodes (Mocked)
+  await runStep('presearch_ai_search (federated)', async () => {
+    const originalGetFromAllNodes = apiClient.getFromAllNodes;
+    const nodeResponse = (node, urls) => ({
+      node,
+      response: { data: { results: urls.map(url => ({ title: `Federated ${url}`, url: `https://${url}.example`, description: `Page ${url} from ${node}` })) } },
+    });
+    apiClient.getFromAllNodes = async () => [
+      nodeResponse('https://na-us-1.presearch.com', ['alpha', 'shared']),
+      nodeResponse('https://eu-de-1.presearch.com', ['shared', 'beta']),
+    ];
+    try {
+      const data = JSON.parse((await searchTool.execute({ query: "mock federated", limit: 10, federated: true })).content[0].text);
+      if (data.results.map(r => r.url).join(',') !== 'https://alpha.example,https://shared.example,https://beta.example') {
+        throw new Error(`Unexpected merge: ${data.results.map(r => r.url).join(',')}`);
+      }
+      if (data.search_metadata.nodes.length !== 2) throw new Error("Nodes not reported");
+    } finally {
+      apiClient.getFromAllNodes = originalGetFromAllNodes;
+    }
+  });
+
+  // 1h. Test result filters and sorting (Mocked)
+  await runStep('presearch_ai_search (filters)', async () => {
+    const mockedGet = apiClient.get;
+    apiClient.get = async () => ({
+      data: {
+        results: [
+          { title: "Blockchain node setup", url: "https://docs.example.org/nodes", description: "Mar 1, 2024 · Running a blockchain node" },
+          { title: "Blockchain wallets compared", url: "https://github.com/wallets", description: "Jun 1, 2025 · A blockchain wallet comparison" },
+          { title: "Home", url: "https://spam.example.net/", description: "" },
+          { title: "Best pizza recipes", url: "https://food.example.org/pizza", description: "Cooking at home" },
+          { title: "Blockchain explained for beginners", url: "https://ads.example.org/blockchain", description: "Sponsored blockchain intro" }
+        ]
+      }
+    });
+    try {
+      const data = JSON.parse((await searchTool.execute({
+        query: "mock filters",
+        count: 10,
+        content_categories: ["technology"],
+        include_domains: ["example.org", "github.com"],
+        exclude_domains: ["ads.example.org"],
+        sort: "recency"
+      }, { apiKey: "secret-key" })).content[0].text);
+      const removed = data.search_metadata.filters_removed;
+      if (removed.content_categories !== 2 || removed.exclude_domains !== 1 || removed.include_domains !== 0) {
+        throw new Error(`Unexpected per-filter counts: ${JSON.stringify(removed)}`);
+      }
+      if (data.results.map(r => r.url).join(',') !== 'https://github.com/wallets,https://docs.example.org/nodes') throw new Error("Results not sorted by recency");
+
+      const strict = JSON.parse((await searchTool.execute({ query: "mock filters", min_quality_score: 100 })).content[0].text);
+      if (strict.results.length !== 0 || !(strict.search_metadata.filters_removed.min_quality_score > 0)) throw new Error("min_quality_score not applied");
+
+      const scraped = await searchAndScrapeTool.execute({ query: "mock filters", limit: 1 }, { apiKey: "secret-key" });
+      if (scraped.content[0].text.includes('secret-key')) throw new Error("API key leaked into the search metadata");
+    } finally {
+      apiClient.get = mockedGet;
+    }
+  });
+
+  // 1i. Test that search failures are reported, not returned as empty results (Mocked)
+  await runStep('search failures', async () => {
+    const mockedGet = apiClient.get;
+    try {
+      apiClient.get = async () => {
+        throw Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:443'), { code: 'ECONNREFUSED' });
+      };
+      const result = await searchTool.execute({ query: "mock outage", limit: 2 });
+      const error = JSON.parse(result.content[0].text);
+      if (!result.isError || error.category !== 'NETWORK_ERROR' || !error.retryable || !error.hint) {
+        throw new Error(`Network failure not surfaced: ${result.content[0].text}`);
+      }
+
+      apiClient.get = async () => {
+        throw Object.assign(new Error('Request failed with status code 402'), { response: { status: 402 } });
+      };
+      const scraped = await searchAndScrapeTool.execute({ query: "mock no credits", limit: 1 });
+      const payment = JSON.parse(scraped.content[0].text);
+      if (!scraped.isError || payment.category !== 'PAYMENT_REQUIRED' || payment.retryable) {
+        throw new Error(`Payment failure not surfaced: ${scraped.content[0].text}`);
+      }
+    } finally {
+      apiClient.get = mockedGet;
+    }
+  });
+
+  // 1j. Test site export reports the cache status of every page (Mocked)
+  await runStep('presearch_site_export', async () => {
+    const originalFetch = contentFetcher.fetchContent;
+    // The mocked search returns two results: one cached, one scraped
+    const statuses = ['hit', 'miss'];
+    let scraped = 0;
+    contentFetcher.fetchContent = async (url) => ({
+      url,
+      title: `Scraped ${url}`,
+      content: "Mock page content.",
+      fromCache: scraped === 0,
+      cacheStatus: statuses[scraped++ % 2],
+    });
+    try {
+      const text = (await siteExportTool.execute({ query: "mock export", format: "markdown" })).content[0].text;
+      for (const label of ['Cache: fresh (from cache)', 'Cache: miss (scraped)']) {
+        if (!text.includes(label)) throw new Error(`Markdown export missing "${label}"`);
+      }
+    } finally {
+      contentFetcher.fetchContent = originalFetch;
+    }
+  });
+
   // 2. Test Export (No API dependency)
   await runStep('export_search_results', async () => {
     const result = await exportResultsTool.execute({
@@ -91,11 +403,261 @@ async function runMockTests() {
   await runStep('presearch_deep_research', async () => {
     const result = await deepResearchTool.execute({
       query: "mock research",
-      depth: 1,
+      depth: 2,
       breadth: 2
     });
     // The deep research tool should return content
     if (!result.content) throw new Error("No content returned");
+    if (result.isError) throw new Error(result.content[0].text);
+    const report = JSON.parse(result.content[0].text);
+    if (report.sources.length === 0) throw new Error("No root sources");
+    if (report.subTopics.length !== 2) throw new Error("Expected one sub-topic per breadth path");
+    if (!report.subTopics.every(node => node.sources.length > 0)) throw new Error("Sub-topic without sources");
+    if (report.stats.pagesScraped === 0) throw new Error("No pages scraped");
+    if (!report.report.includes("## Executive Summary")) throw new Error("Report missing summary");
+    if (!/\[1\]/.test(report.report)) throw new Error("Report missing inline citations");
+    if (report.bibliography[0]?.number !== 1) throw new Error("Bibliography not numbered");
+  });
+
+  // 3a. Test Deep Research focus modes (Mocked)
+  await runStep('presearch_deep_research (academic focus)', async () => {
+    const result = await deepResearchTool.execute({
+      query: "mock research",
+      depth: 2,
+      breadth: 2,
+      research_focus: "academic"
+    });
+    if (result.isError) throw new Error(result.content[0].text);
+    const report = JSON.parse(result.content[0].text);
+    if (report.focus !== 'academic') throw new Error("Focus not recorded");
+    if (report.subTopics[0].query !== 'mock research research paper') throw new Error("Focus query templates not used");
+    if (!report.report.startsWith('# Literature Review: mock research')) throw new Error("Focus report layout not used");
+  });
+
+  // 3a2. Test Deep Research budgets (Mocked)
+  await runStep('presearch_deep_research (budgets)', async () => {
+    const result = await deepResearchTool.execute({
+      query: "mock budget research",
+      depth: 2,
+      breadth: 2,
+      max_api_calls: 2,
+      max_pages: 3
+    });
+    if (result.isError) throw new Error(result.content[0].text);
+    const report = JSON.parse(result.content[0].text);
+    if (report.budget.used.apiCalls !== 2) throw new Error(`Expected 2 API calls, got ${report.budget.used.apiCalls}`);
+    if (report.stats.pagesScraped !== 3) throw new Error(`Expected 3 pages, got ${report.stats.pagesScraped}`);
+    if (report.budget.pruned.length !== 1 || !report.subTopics[1].pruned) throw new Error("Pruned branch not reported");
+    if (!report.report.includes('## Research Limits')) throw new Error("Report missing budget section");
+
+    // Searches answered from the cache cost no API calls
+    const repeated = JSON.parse((await deepResearchTool.execute({ query: "mock budget research", depth: 1, breadth: 2, max_api_calls: 2 })).content[0].text);
+    if (repeated.budget.used.apiCalls !== 0) throw new Error(`Cached search counted as an API call: ${repeated.budget.used.apiCalls}`);
+
+    // Out of credits: the branch searches fail with 402 and further branches are pruned
+    const mockedGet = apiClient.get;
+    let calls = 0;
+    apiClient.get = async (url, config) => {
+      if (++calls > 1) {
+        const error = new Error('Payment Required: Insufficient credits');
+        error.status = 402;
+        throw error;
+      }
+      return mockedGet(url, config);
+    };
+    try {
+      const credits = JSON.parse((await deepResearchTool.execute({ query: "mock credits", depth: 2, breadth: 2 })).content[0].text);
+      if (!credits.budget.exhausted.includes('credits')) throw new Error("402 not recorded as exhausted credits");
+      if (credits.budget.pruned.length !== 1) throw new Error("Branch after 402 was not pruned");
+    } finally {
+      apiClient.get = mockedGet;
+    }
+
+    const short = JSON.parse((await deepResearchTool.execute({ query: "mock research", depth: 2, breadth: 2, max_report_chars: 400 })).content[0].text);
+    if (short.report.length > 400 || !short.report.includes('truncated')) throw new Error("Report not truncated to budget");
+    if (!short.report.startsWith('# ')) throw new Error("Truncated report lost its title");
+    if (!short.report.includes('`max_report_chars`') || !short.budget.exhausted.includes('max_report_chars')) throw new Error("Report budget not listed as exhausted");
+  });
+
+  // 3b. Test Deep Research with client sampling (Mocked)
+  await runStep('presearch_deep_research (sampling)', async () => {
+    const prompts = [];
+    const server = {
+      getClientCapabilities: () => ({ sampling: {} }),
+      createMessage: async ({ messages }) => {
+        const prompt = messages[0].content.text;
+        prompts.push(prompt);
+        const text = prompt.startsWith('Write a research report')
+          ? '## Executive Summary\n\nMock findings agree [2] and differ [9].'
+          : '["mock research history", "mock research outlook"]';
+        return { model: 'mock-llm', role: 'assistant', content: { type: 'text', text } };
+      }
+    };
+
+    const result = await deepResearchTool.execute(
+      { query: "mock research", depth: 2, breadth: 2 },
+      { server }
+    );
+    if (result.isError) throw new Error(result.content[0].text);
+    const report = JSON.parse(result.content[0].text);
+    if (report.engine.planning !== 'sampling' || report.engine.synthesis !== 'sampling') throw new Error("Sampling not used");
+    if (report.subTopics[0].query !== 'mock research history') throw new Error("Planned sub-questions not explored");
+    if (!report.report.includes('Mock findings agree [1] and differ.')) throw new Error("Citations not renumbered");
+    if (report.bibliography.length !== 1) throw new Error("Bibliography should only list cited sources");
+  });
+
+  // 3a3. Test extending an earlier research result (Mocked)
+  await runStep('presearch_research_extend', async () => {
+    const first = JSON.parse((await deepResearchTool.execute({ query: "mock research", depth: 2, breadth: 2 })).content[0].text);
+    const subTopic = first.subTopics[0].query;
+
+    const scraped = [];
+    const fetchContent = contentFetcher.fetchContent;
+    contentFetcher.fetchContent = async (url, options) => {
+      scraped.push(url);
+      return fetchContent(url, options);
+    };
+    try {
+      const deeper = await researchExtendTool.execute({ research_id: first.researchId, sub_topic: subTopic, depth: 1, breadth: 2 });
+      if (deeper.isError) throw new Error(deeper.content[0].text);
+      const extended = JSON.parse(deeper.content[0].text);
+      if (extended.researchId !== first.researchId) throw new Error("Extension should keep the research id");
+      if (extended.subTopics[0].subTopics.length === 0) throw new Error("Sub-topic was not researched deeper");
+      if (extended.sources.length !== first.sources.length) throw new Error("Existing sources were not kept");
+      const collect = (node) => [...node.sources, ...node.subTopics.flatMap(collect)];
+      const known = new Set(collect(first).map(source => source.url));
+      if (scraped.some(url => known.has(url))) throw new Error("Known URL was scraped again");
+      if (extended.stats.sources <= first.stats.sources) throw new Error("New sources not merged");
+      if (extended.extensions[0].newSources === 0) throw new Error("Extension found no new sources");
+
+      const angled = JSON.parse((await researchExtendTool.execute({ research_id: first.researchId, angle: "regulation" })).content[0].text);
+      if (angled.subTopics.length !== 3 || angled.subTopics[2].query !== 'mock research regulation') throw new Error("Angle not added to the tree");
+      if (angled.extensions.length !== 2) throw new Error("Extensions not recorded");
+    } finally {
+      contentFetcher.fetchContent = fetchContent;
+    }
+
+    const missing = await researchExtendTool.execute({ research_id: 'nope', angle: 'x' });
+    if (!missing.isError) throw new Error("Unknown research should be an error");
+    const noTarget = await researchExtendTool.execute({ research_id: first.researchId });
+    if (!noTarget.isError) throw new Error("Missing sub_topic and angle should be an error");
+  });
+
+  // 3b1. Test clarifying questions through elicitation (Mocked)
+  await runStep('presearch_deep_research (elicitation)', async () => {
+    const requests = [];
+    const server = {
+      getClientCapabilities: () => ({ elicitation: { form: {} } }),
+      elicitInput: async (params) => {
+        requests.push(params);
+        return {
+          action: 'accept',
+          content: { time_period: '2024', region: 'DE', research_focus: 'news', angle: 'pricing' }
+        };
+      }
+    };
+
+    const result = await deepResearchTool.execute({ query: "mock research", depth: 1, breadth: 2 }, { server });
+    if (result.isError) throw new Error(result.content[0].text);
+    const report = JSON.parse(result.content[0].text);
+    if (requests.length !== 1) throw new Error("Clarifying questions not asked");
+    if (report.location !== 'DE' || report.focus !== 'news') throw new Error("Answers not applied to location and focus");
+    if (report.clarifications?.angle !== 'pricing') throw new Error("Clarifications not recorded");
+    if (!report.sources[0].url.includes('mock%20research%20pricing%202024')) throw new Error("Clarifications not used for the root query");
+
+    // A relative time period becomes the time_range filter instead of query text
+    const mockedGet = apiClient.get;
+    const searches = [];
+    apiClient.get = async (url, config) => {
+      if (url === '/v1/search') searches.push(config.params);
+      return mockedGet(url, config);
+    };
+    server.elicitInput = async () => ({ action: 'accept', content: { time_period: 'last 12 months', angle: 'pricing' } });
+    try {
+      const filtered = JSON.parse((await deepResearchTool.execute({ query: "mock filter", depth: 1, breadth: 2 }, { server })).content[0].text);
+      if (filtered.clarifications?.timeRange !== 'year') throw new Error("Time period not mapped to a time range");
+      if (searches[0]?.time !== 'year') throw new Error("Time range not applied to the search");
+      if (searches[0].q !== 'mock filter pricing') throw new Error("Mapped time period should not be in the query text");
+    } finally {
+      apiClient.get = mockedGet;
+    }
+    server.elicitInput = async (params) => {
+      requests.push(params);
+      return { action: 'accept', content: { angle: 'pricing' } };
+    };
+
+    // Specific topics and given fields are not asked about
+    requests.length = 0;
+    await deepResearchTool.execute({ query: "decentralized search engine node operator rewards in 2024", depth: 1, breadth: 1 }, { server });
+    if (requests.length !== 0) throw new Error("Specific topic should not be clarified");
+
+    // Declining researches the topic as given
+    server.elicitInput = async () => ({ action: 'decline' });
+    const declined = JSON.parse((await deepResearchTool.execute({ query: "mock research", depth: 1, breadth: 2 }, { server })).content[0].text);
+    if (declined.clarifications || declined.focus !== 'general') throw new Error("Declined elicitation should not change the research");
+  });
+
+  // 3b2. Test progress notifications and cancellation (Mocked)
+  await runStep('progress_and_cancellation', async () => {
+    const notifications = [];
+    const extra = {
+      _meta: { progressToken: 'mock-token' },
+      sendNotification: async (n) => notifications.push(n),
+      signal: new AbortController().signal
+    };
+    const scraped = await searchAndScrapeTool.execute({ query: "mock scrape", limit: 2 }, { extra });
+    if (scraped.isError) throw new Error(scraped.content[0].text);
+    const last = notifications[notifications.length - 1].params;
+    if (last.message !== 'scraping: 1 queries completed, 2 pages scraped') throw new Error(`Unexpected progress: ${last.message}`);
+
+    const controller = new AbortController();
+    controller.abort();
+    const cancelled = await deepResearchTool.execute(
+      { query: "mock research", depth: 2, breadth: 2 },
+      { extra: { signal: controller.signal } }
+    );
+    if (!cancelled.isError || !cancelled.content[0].text.includes('cancelled')) throw new Error("Cancellation not honored");
+  });
+
+  // 3c. Test Research Jobs (Mocked)
+  await runStep('research_jobs', async () => {
+    const started = JSON.parse((await researchStartTool.execute({ query: "mock research", depth: 2, breadth: 2 })).content[0].text);
+    if (started.status !== 'running') throw new Error("Job did not start");
+    await researchJobs.get(started.jobId).promise;
+
+    const status = JSON.parse((await researchStatusTool.execute({ job_id: started.jobId })).content[0].text);
+    if (status.status !== 'completed') throw new Error(`Unexpected status ${status.status}`);
+    const result = JSON.parse((await researchResultTool.execute({ job_id: started.jobId })).content[0].text);
+    if (result.partial || !result.report.report) throw new Error("Final report missing");
+
+    // Partial reports use the focus layout of the final one
+    const academic = JSON.parse((await researchStartTool.execute({ query: "mock research", depth: 1, breadth: 2, research_focus: "academic" })).content[0].text);
+    await researchJobs.get(academic.jobId).promise;
+    const academicJob = researchJobs.get(academic.jobId);
+    const final = academicJob.result;
+    academicJob.result = null; // As while the job is still running
+    const partial = researchJobs.getResult(academic.jobId);
+    academicJob.result = final;
+    if (!partial.partial || !partial.report.report.startsWith('# Literature Review')) throw new Error("Partial report ignores the focus layout");
+
+    const cancelled = JSON.parse((await researchStartTool.execute({ query: "mock cancel", depth: 3, breadth: 3 })).content[0].text);
+    const cancel = JSON.parse((await researchCancelTool.execute({ job_id: cancelled.jobId })).content[0].text);
+    if (!cancel.cancelled) throw new Error("Cancel was not accepted");
+    await researchJobs.get(cancelled.jobId).promise;
+    if (researchJobs.getStatus(cancelled.jobId).status !== 'cancelled') throw new Error("Job was not cancelled");
+
+    // Running jobs are never pruned, so new ones are refused at the cap
+    const running = [];
+    for (let i = 0; i < MAX_RUNNING_JOBS; i++) {
+      running.push(JSON.parse((await researchStartTool.execute({ query: `mock running ${i}`, depth: 3, breadth: 3 })).content[0].text).jobId);
+    }
+    const refused = await researchStartTool.execute({ query: "mock one too many", depth: 1, breadth: 1 });
+    for (const jobId of running) researchJobs.cancel(jobId);
+    await Promise.all(running.map(jobId => researchJobs.get(jobId).promise));
+    if (!refused.isError || !refused.content[0].text.includes('already running')) throw new Error("Job started past the running limit");
+
+    const missing = await researchStatusTool.execute({ job_id: 'nope' });
+    if (!missing.isError) throw new Error("Unknown job should be an error");
   });
 
   // 4. Test Health Check (Mocked)
@@ -109,10 +671,30 @@ async function runMockTests() {
   await runStep('cache_tools', async () => {
     // Clear
     await cacheClearTool.execute();
+
+    // A repeated query is answered from the cache, with other filters too
+    const mockedGet = apiClient.get;
+    let calls = 0;
+    apiClient.get = async (url, config) => {
+      calls++;
+      return mockedGet(url, config);
+    };
+    try {
+      const first = JSON.parse((await searchTool.execute({ query: "mock cached", limit: 2 })).content[0].text);
+      const second = JSON.parse((await searchTool.execute({ query: "mock cached", limit: 2, sort: "quality" })).content[0].text);
+      if (calls !== 1) throw new Error(`Expected one API call, got ${calls}`);
+      if (first.search_metadata.cache_hit || !second.search_metadata.cache_hit) throw new Error("cache_hit not reported");
+      if (typeof second.search_metadata.cache_age_seconds !== 'number') throw new Error("Cache age not reported");
+      if (second.results.length !== first.results.length) throw new Error("Cached response processed differently");
+    } finally {
+      apiClient.get = mockedGet;
+    }
+
     // Stats
     const result = await cacheStatsTool.execute();
     const stats = JSON.parse(result.content[0].text);
     if (typeof stats.size !== 'number') throw new Error("Invalid cache stats");
+    if (!(stats.hits >= 1) || !(stats.hitRate > 0)) throw new Error("Cache hits not counted");
   });
 
   console.log('\n📊 Mock Test Summary');
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, matchesSite } from '../src/services/queryParser.js';
+import { ResultProcessor } from '../src/services/resultProcessor.js';
+
+const result = (url, title, description = '') => ({ url, title, description });
+
+describe('Search operator parser', () => {
+  it('splits operators, phrases and exclusions from the free text', () => {
+    const parsed = parseQuery('privacy “search engine” site:www.Example.com -site:ads.example.com -tracking filetype:.PDF intitle:"annual report" inurl:docs');
+
+    assert.deepEqual(parsed.site, ['example.com']);
+    assert.deepEqual(parsed.exclude.site, ['ads.example.com']);
+    assert.deepEqual(parsed.phrases, ['search engine']);
+    assert.deepEqual(parsed.exclude.terms, ['tracking']);
+    assert.deepEqual(parsed.fileType, ['pdf']);
+    assert.deepEqual(parsed.inTitle, ['annual report']);
+    assert.deepEqual(parsed.inUrl, ['docs']);
+    assert.equal(parsed.text, 'privacy "search engine"');
+    assert.equal(parsed.hasOperators, true);
+  });
+
+  it('treats plain queries and unknown operators as words', () => {
+    const parsed = parseQuery('node.js e-mail time:12');
+    assert.deepEqual(parsed.terms, ['node.js', 'e-mail', 'time:12']);
+    assert.equal(parsed.hasOperators, false);
+  });
+
+  it('matches site: against subdomains and path prefixes', () => {
+    assert.equal(matchesSite('https://blog.example.com/post', 'example.com'), true);
+    assert.equal(matchesSite('https://notexample.com/', 'example.com'), false);
+    assert.equal(matchesSite('https://example.com/docs/api', 'example.com/docs'), true);
+    assert.equal(matchesSite('https://example.com/blog', 'example.com/docs'), false);
+  });
+});
+
+describe('Operator enforcement in ResultProcessor', () => {
+  const processor = new ResultProcessor();
+  const process = (query, results) =>
+    processor.processResults({ results }, query, { parsed_query: parseQuery(query) });
+
+  it('drops results that violate the operators and counts them per operator', async () => {
+    const processed = await process('wallets site:example.com -scam "cold storage"', [
+      result('https://example.com/a', 'Cold storage wallets', 'How cold storage works'),
+      result('https://other.org/b', 'Cold storage elsewhere', 'Cold storage on another site'),
+      result('https://docs.example.com/c', 'Wallet scam warning', 'Cold storage scam alert'),
+      result('https://example.com/d', 'Hot wallets', 'Keeping coins online'),
+    ]);
+
+    assert.deepEqual(processed.results.map((r) => r.url), ['https://example.com/a', 'https://example.com/d']);
+    assert.deepEqual(processed.metadata.operatorFilter, {
+      removed: 2,
+      byOperator: { site: 1, '-term': 1 },
+    });
+  });
+
+  it('scores "exact phrase" matches instead of dropping the other results', async () => {
+    const processed = await process('"cold storage" wallets', [
+      result('https://a.example/hot', 'Hot wallets compared', 'Keeping coins online'),
+      result('https://b.example/cold', 'Hot wallets compared', 'Keeping coins in cold storage'),
+    ]);
+
+    assert.equal(processed.results.length, 2);
+    const [hot, cold] = processed.results;
+    assert.equal(hot.phraseMatch, false);
+    assert.equal(cold.phraseMatch, true);
+    assert.ok(cold.qualityScore > hot.qualityScore);
+  });
+
+  it('enforces filetype:, intitle: and inurl:', async () => {
+    const processed = await process('report filetype:pdf intitle:annual inurl:investors', [
+      result('https://corp.example/investors/annual-2024.pdf', 'Annual report 2024'),
+      result('https://corp.example/investors/annual-2024.html', 'Annual report 2024'),
+      result('https://corp.example/investors/q3.pdf', 'Quarterly report'),
+      result('https://corp.example/press/annual.pdf', 'Annual report'),
+    ]);
+
+    assert.equal(processed.results.length, 1);
+    assert.deepEqual(processed.metadata.operatorFilter.byOperator, { filetype: 1, intitle: 1, inurl: 1 });
+  });
+
+  it('leaves results untouched without operators', async () => {
+    const processed = await process('plain query', [result('https://a.example', 'A'), result('https://b.example', 'B')]);
+    assert.equal(processed.results.length, 2);
+    assert.equal(processed.metadata.operatorFilter, undefined);
+  });
+});
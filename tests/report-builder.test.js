@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReportBuilder } from '../src/services/reportBuilder.js';
+
+const source = (url, title, description = '') => ({ url, title, description, sources: [] });
+
+function buildTree() {
+  const a = source('https://a.example/solar', 'Solar A');
+  const b = source('https://b.example/solar', 'Solar B', 'Solar panel prices fell sharply across Europe during the last year.');
+  const c = source('https://c.example/storage', 'Storage C');
+
+  return {
+    query: 'solar power',
+    sources: [a, b],
+    subTopics: [
+      { query: 'solar power storage', sources: [c], subTopics: [] },
+      { query: 'solar power tariffs', sources: [], subTopics: [], error: 'API down' },
+    ],
+  };
+}
+
+const pages = new Map([
+  ['https://a.example/solar', { content: 'Solar power capacity grew by a record amount in 2024. Unrelated sentence about the weather in the city.' }],
+  ['https://c.example/storage', { content: 'Battery storage is now paired with most new solar power projects in the region.' }],
+]);
+
+describe('ReportBuilder', () => {
+  it('cites sources with numbers in order of first use', () => {
+    const report = new ReportBuilder().build('solar power', buildTree(), pages);
+
+    assert.deepEqual(report.bibliography.map((e) => e.number), [1, 2, 3]);
+    assert.match(report.summary, /\[1\]/);
+    for (const entry of report.bibliography) {
+      assert.ok(report.markdown.includes(`${entry.number}. [${entry.title}](${entry.url})`));
+    }
+  });
+
+  it('writes a section per sub-topic and notes failed branches', () => {
+    const report = new ReportBuilder().build('solar power', buildTree(), pages);
+
+    assert.match(report.markdown, /## solar power storage\n\nBattery storage .* \[\d\]/);
+    assert.match(report.markdown, /## solar power tariffs\n\nThis branch could not be searched: API down/);
+  });
+
+  it('only lists sources that were actually cited', () => {
+    const tree = buildTree();
+    tree.sources.push(source('https://d.example/other', 'Off topic', 'Nothing relevant here at all, truly nothing.'));
+    const report = new ReportBuilder().build('solar power', tree, pages);
+
+    assert.ok(!report.bibliography.some((e) => e.url === 'https://d.example/other'));
+  });
+
+  it('renumbers sampled citations in order of first use', () => {
+    const numbered = [1, 2, 3].map((number) => ({
+      number,
+      source: { url: `https://${number}.example`, title: `Source ${number}` },
+    }));
+    const report = new ReportBuilder().buildFromSynthesis(
+      'solar power',
+      '## Executive Summary\n\nPrices fell [3] while output grew [1, 3]. Unknown [7].\n\n## Storage\n\nMore text.',
+      numbered,
+    );
+
+    assert.equal(report.summary, 'Prices fell [1] while output grew [2, 1]. Unknown.');
+    assert.deepEqual(report.bibliography.map((e) => e.url), ['https://3.example', 'https://1.example']);
+    assert.match(report.markdown, /^# Research Report: solar power/);
+    assert.match(report.markdown, /## Sources\n\n1\. \[Source 3\]\(https:\/\/3\.example\)/);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResearchBudget, BudgetLimits, DEFAULT_BUDGET } from '../src/services/researchBudget.js';
+import { ReportBuilder } from '../src/services/reportBuilder.js';
+
+describe('ResearchBudget', () => {
+  it('uses defaults for missing or invalid limits', () => {
+    const budget = new ResearchBudget({ maxApiCalls: '5', maxPages: undefined, maxSeconds: -1 });
+    assert.equal(budget.limits.maxApiCalls, 5);
+    assert.equal(budget.limits.maxPages, DEFAULT_BUDGET.maxPages);
+    assert.equal(budget.limits.maxSeconds, DEFAULT_BUDGET.maxSeconds);
+  });
+
+  it('blocks searches once the API call budget is spent', () => {
+    const budget = new ResearchBudget({ maxApiCalls: 2 });
+    budget.useApiCall();
+    assert.equal(budget.searchBlockedBy(), null);
+    budget.useApiCall();
+    assert.equal(budget.searchBlockedBy(), BudgetLimits.API_CALLS);
+  });
+
+  it('refuses extra requests once the API call budget is spent', () => {
+    const budget = new ResearchBudget({ maxApiCalls: 2 });
+    budget.useApiCall();
+    assert.equal(budget.tryApiCall(), true);
+    assert.equal(budget.tryApiCall(), false);
+    assert.equal(budget.getSummary().used.apiCalls, 2);
+    assert.deepEqual(budget.getSummary().exhausted, [BudgetLimits.API_CALLS]);
+  });
+
+  it('grants pages up to the limit', () => {
+    const budget = new ResearchBudget({ maxPages: 3 });
+    assert.equal(budget.reservePages(2), 2);
+    assert.equal(budget.reservePages(2), 1);
+    assert.equal(budget.reservePages(2), 0);
+    assert.deepEqual(budget.getSummary().exhausted, [BudgetLimits.PAGES]);
+  });
+
+  it('blocks everything after running out of credits and records pruned branches', () => {
+    const budget = new ResearchBudget();
+    budget.exhaust(BudgetLimits.CREDITS);
+    assert.equal(budget.searchBlockedBy(), BudgetLimits.CREDITS);
+
+    budget.prune('topic outlook', 2, BudgetLimits.CREDITS);
+    assert.deepEqual(budget.getSummary().pruned, [{ query: 'topic outlook', level: 2, limit: 'credits' }]);
+  });
+});
+
+describe('ReportBuilder budget helpers', () => {
+  const builder = new ReportBuilder();
+  const markdown = [
+    '# Research Report: topic',
+    '',
+    '## Executive Summary',
+    '',
+    'A'.repeat(300),
+    '',
+    '## Details',
+    '',
+    'B'.repeat(300),
+    '',
+    '## Sources',
+    '',
+    '1. [One](https://example.com/1)',
+    '',
+  ].join('\n');
+
+  it('inserts sections before the bibliography', () => {
+    const result = builder.insertSection(markdown, 'Research Limits', 'Stopped early.', 'Sources');
+    assert.ok(result.indexOf('## Research Limits') < result.indexOf('## Sources'));
+    assert.ok(result.indexOf('## Research Limits') > result.indexOf('## Details'));
+  });
+
+  it('truncates at a paragraph boundary and keeps the bibliography', () => {
+    const result = builder.truncate(markdown, 500, 'Sources');
+    assert.ok(result.length <= 500);
+    assert.ok(result.includes('A'.repeat(300)));
+    assert.ok(!result.includes('## Details'));
+    assert.ok(result.includes('_Report truncated to fit the 500-character budget._'));
+    assert.ok(result.endsWith('1. [One](https://example.com/1)\n'));
+  });
+
+  it('keeps the limits, conflicts and sources sections and trims the summary at a sentence', () => {
+    const sentences = Array.from({ length: 40 }, (_, i) => `Finding number ${i} is supported by a source [1].`);
+    const report = [
+      '# Research Report: topic',
+      '',
+      '## Executive Summary',
+      '',
+      sentences.join(' '),
+      '',
+      '## Details',
+      '',
+      sentences.join(' '),
+      '',
+      '## Conflicting Claims',
+      '',
+      '- **price** (number): 10 [1] vs 12 [1]',
+      '',
+      '## Research Limits',
+      '',
+      'Research stopped early because these budgets were reached:',
+      '',
+      '- `max_report_chars`: 1200 report characters',
+      '',
+      '## Sources',
+      '',
+      '1. [One](https://example.com/1)',
+      '',
+    ].join('\n');
+
+    const result = builder.truncate(report, 1200, 'Sources', ['Research Limits', 'Conflicting Claims']);
+    assert.ok(result.length <= 1200);
+    assert.ok(result.length > 900, `report nearly empty: ${result.length} characters`);
+    assert.ok(result.includes('## Research Limits\n\nResearch stopped early'));
+    assert.ok(result.includes('## Conflicting Claims'));
+    assert.ok(result.endsWith('1. [One](https://example.com/1)\n'));
+    assert.match(result, /supported by a source \[1\]\.\n\n_Report truncated/);
+  });
+
+  it('leaves reports within the limit unchanged', () => {
+    assert.equal(builder.truncate(markdown, 5000, 'Sources'), markdown);
+  });
+});
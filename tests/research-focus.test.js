@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResultProcessor } from '../src/services/resultProcessor.js';
+import { ReportBuilder } from '../src/services/reportBuilder.js';
+import { getFocusProfile, isFavouredDomain } from '../src/services/researchFocus.js';
+
+const result = (url, title) => ({
+  url,
+  title,
+  description: 'A description of reasonable length that explains what the page is about in some detail for readers.',
+});
+
+describe('Research focus', () => {
+  it('falls back to the general profile for unknown modes', () => {
+    assert.equal(getFocusProfile('unknown').name, 'general');
+    assert.equal(getFocusProfile().name, 'general');
+  });
+
+  it('matches favoured TLD suffixes and domains', () => {
+    const academic = getFocusProfile('academic');
+    assert.equal(isFavouredDomain('cs.stanford.edu', academic), true);
+    assert.equal(isFavouredDomain('arxiv.org', academic), true);
+    assert.equal(isFavouredDomain('education-blog.com', academic), false);
+  });
+
+  it('weights favoured domains in the quality score', () => {
+    const processor = new ResultProcessor();
+    const paper = result('https://arxiv.org/abs/1234', 'Transformer study results');
+    const blog = result('https://someblog.io/post', 'Transformer study results');
+
+    const general = processor.calculateQualityScore(paper, 0) - processor.calculateQualityScore(blog, 0);
+    const academic =
+      processor.calculateQualityScore(paper, 0, getFocusProfile('academic')) -
+      processor.calculateQualityScore(blog, 0, getFocusProfile('academic'));
+
+    assert.ok(academic > general, 'academic focus should widen the gap for arXiv');
+  });
+
+  it('applies the focus when processing results', async () => {
+    const processor = new ResultProcessor();
+    const { results } = await processor.processResults(
+      [result('https://someblog.io/a', 'Market overview'), result('https://www.statista.com/b', 'Market overview 2024')],
+      'ev market',
+      { research_focus: 'market' },
+    );
+    const statista = results.find((r) => r.domain === 'www.statista.com');
+    const blog = results.find((r) => r.domain === 'someblog.io');
+    assert.ok(statista.qualityScore > blog.qualityScore);
+  });
+
+  it('lays out the report for the focus mode', () => {
+    const root = {
+      query: 'ev market',
+      sources: [{ url: 'https://www.statista.com/b', title: 'EV market', description: '' }],
+      subTopics: [],
+    };
+    const pages = new Map([
+      ['https://www.statista.com/b', { content: 'The ev market grew to $380 billion in 2024 according to analysts. The ev market is crowded.' }],
+    ]);
+    const { markdown } = new ReportBuilder().build('ev market', root, pages, getFocusProfile('market'));
+
+    assert.match(markdown, /^# Market Research Brief: ev market/);
+    assert.match(markdown, /## Key Takeaways/);
+    assert.match(markdown, /## Key Figures\n\n- The ev market grew to \$380 billion/);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { ResultProcessor } from '../src/services/resultProcessor.js';
+
+// Results as the API returned them, with entities, <em> tags and leading dates
+const samples = JSON.parse(readFileSync(new URL('../ai_news_results.json', import.meta.url), 'utf8'));
+
+describe('Result normalization', () => {
+  const processor = new ResultProcessor();
+
+  it('decodes entities in titles and snippets', () => {
+    const result = processor.normalizeResult(samples.find((r) => r.title.includes('&apos;')), 0);
+    assert.equal(result.title, "Emerging AI's Year End: Roundup for November and December 2024");
+
+    const { text } = processor.cleanSnippet('Fish &amp; chips &lt;3 &#8212; caf&#xe9;&nbsp;&unknown;');
+    assert.equal(text, 'Fish & chips <3 — café &unknown;');
+  });
+
+  it('keeps angle-bracket text that is not markup', () => {
+    assert.equal(processor.cleanSnippet('a <tag> in text').text, 'a <tag> in text');
+    assert.equal(processor.cleanSnippet('use List<String> or <bar>').text, 'use List<String> or <bar>');
+
+    const { text, highlights } = processor.cleanSnippet('a <span class="x"> <b>bold</b> </span> word<br/>next');
+    assert.equal(text, 'a bold word next');
+    assert.deepEqual(highlights, [{ text: 'bold', start: 2, end: 6 }]);
+  });
+
+  it('turns <em> spans into highlights with offsets into the clean description', () => {
+    const result = processor.normalizeResult(samples.find((r) => r.description.includes('<em>')), 0);
+
+    assert.doesNotMatch(result.description, /<\/?em>/);
+    assert.doesNotMatch(result.snippet, /<\/?em>/);
+    assert.deepEqual(result.highlights.map((h) => h.text), ['latest', 'Reuters', 'AI', 'breakthroughs']);
+    for (const highlight of result.highlights) {
+      assert.equal(result.description.slice(highlight.start, highlight.end), highlight.text);
+    }
+  });
+
+  it('moves a leading snippet date into publishedDate', () => {
+    const result = processor.normalizeResult(samples[0], 0);
+
+    assert.equal(new Date(result.publishedDate).toISOString().slice(0, 10), '2024-12-20');
+    assert.match(result.description, /^Google made significant strides/);
+  });
+
+  it('marks results with a recent leading date as recent', () => {
+    const recent = processor.normalizeResult({ title: 'Fresh', url: 'https://a.example', description: '3 days ago · Something new' }, 0);
+    const old = processor.normalizeResult(samples[0], 0);
+    assert.equal(recent.isRecent, true);
+    assert.equal(old.isRecent, false);
+  });
+
+  it('keeps publishedDate fields the API filled in, as ISO dates', () => {
+    const result = processor.normalizeResult({ title: 'Dated', url: 'https://a.example', description: 'No date here', publishedDate: '2023-05-04' }, 0);
+    assert.equal(result.publishedDate, '2023-05-04T00:00:00.000Z');
+    assert.deepEqual(result.highlights, []);
+  });
+});
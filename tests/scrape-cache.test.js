@@ -0,0 +1,123 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../src/core/config.js';
+import { ContentFetcher, normalizeUrl } from '../src/services/contentFetcher.js';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A public IP literal passes the SSRF check without a DNS lookup
+const PAGE = 'https://93.184.215.14/docs/page';
+
+describe('Scrape cache', () => {
+  let fetcher;
+  let scrapes;
+  let heads;
+
+  beforeEach(() => {
+    const config = loadConfig();
+    config.cache = { ...config.cache, enabled: true, store: 'memory' };
+    config.cache = { ...config.cache, maxSize: 1000, maxBytes: 50 * 1024 * 1024 };
+    config.scrapeCache = {
+      ttl: 60000,
+      maxSize: 50,
+      maxBytes: 1024 * 1024,
+      domainTtls: { 'example.com': 10, 'docs.example.com': 0 },
+      revalidateWindow: 60000,
+    };
+    fetcher = new ContentFetcher(config);
+
+    scrapes = 0;
+    heads = [];
+    fetcher.scrapePage = async (url) => {
+      scrapes++;
+      return { url, title: 'Docs', content: `Version ${scrapes}`, etag: '"v1"', lastModified: 'Mon, 06 Oct 2025 10:00:00 GMT' };
+    };
+    fetcher.requestHead = async (url, headers) => {
+      heads.push(headers);
+      return { status: 304, headers: {} };
+    };
+  });
+
+  afterEach(() => fetcher.cache.destroy());
+
+  it('serves a page scraped before from the cache', async () => {
+    const first = await fetcher.fetchContent(PAGE);
+    const second = await fetcher.fetchContent(`${PAGE}#section`);
+
+    assert.equal(scrapes, 1);
+    assert.equal(first.fromCache, false);
+    assert.equal(first.cacheStatus, 'miss');
+    assert.equal(second.fromCache, true);
+    assert.equal(second.cacheStatus, 'hit');
+    assert.equal(second.content, 'Version 1');
+  });
+
+  it('revalidates expired pages with their ETag and Last-Modified', async () => {
+    fetcher.scrapeCacheConfig.ttl = 10;
+    await fetcher.fetchContent(PAGE);
+    await wait(20);
+
+    const revalidated = await fetcher.fetchContent(PAGE);
+    assert.equal(scrapes, 1);
+    assert.equal(revalidated.cacheStatus, 'revalidated');
+    assert.deepEqual(
+      { etag: heads[0]['If-None-Match'], since: heads[0]['If-Modified-Since'] },
+      { etag: '"v1"', since: 'Mon, 06 Oct 2025 10:00:00 GMT' },
+    );
+  });
+
+  it('scrapes again when the page changed', async () => {
+    fetcher.scrapeCacheConfig.ttl = 10;
+    fetcher.requestHead = async () => ({ status: 200, headers: { etag: '"v2"' } });
+    await fetcher.fetchContent(PAGE);
+    await wait(20);
+
+    const changed = await fetcher.fetchContent(PAGE);
+    assert.equal(scrapes, 2);
+    assert.equal(changed.fromCache, false);
+    assert.equal(changed.content, 'Version 2');
+  });
+
+  it('expires pages without validators at the TTL', async () => {
+    fetcher.scrapeCacheConfig.ttl = 10;
+    fetcher.scrapePage = async (url) => {
+      scrapes++;
+      return { url, title: 'Docs', content: `Version ${scrapes}` };
+    };
+    await fetcher.fetchContent(PAGE);
+    await wait(20);
+
+    assert.equal(fetcher.cache.getMetrics().size, 1);
+    assert.equal(fetcher.cache.sweep(), 1, 'no revalidation window without validators');
+    assert.equal((await fetcher.fetchContent(PAGE)).cacheStatus, 'miss');
+    assert.equal(heads.length, 0);
+  });
+
+  it('uses its own limits, not the search cache budget', () => {
+    const metrics = fetcher.cache.getMetrics();
+    assert.equal(metrics.maxSize, 50);
+    assert.equal(metrics.maxBytes, 1024 * 1024);
+  });
+
+  it('does not cache failed scrapes', async () => {
+    fetcher.scrapePage = async (url) => ({ url, error: 'Navigation timeout', content: null });
+    await fetcher.fetchContent(PAGE);
+    const again = await fetcher.fetchContent(PAGE);
+    assert.equal(again.fromCache, false);
+    assert.equal(fetcher.cache.getMetrics().size, 0);
+  });
+
+  it('picks the most specific per-domain TTL', () => {
+    assert.equal(fetcher.ttlFor('https://example.com/a'), 10);
+    assert.equal(fetcher.ttlFor('https://blog.example.com/a'), 10);
+    assert.equal(fetcher.ttlFor('https://docs.example.com/a'), 0);
+    assert.equal(fetcher.ttlFor('https://notexample.com/a'), 60000);
+  });
+
+  it('normalizes URLs into cache keys', () => {
+    assert.equal(
+      normalizeUrl('HTTPS://Docs.Example.com:443/guide?b=2&utm_source=x&a=1#intro'),
+      'https://docs.example.com/guide?a=1&b=2',
+    );
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { apiClient } from '../src/core/apiClient.js';
+import { resultProcessor } from '../src/services/resultProcessor.js';
+import { PresearchService } from '../src/services/presearchService.js';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Search request coalescing', () => {
+  const originalGet = apiClient.get;
+  const cache = resultProcessor.cache;
+  const { timeout, staleWindow } = cache;
+  let calls;
+  let service;
+
+  // Upstream answers after 20 ms, each answer numbered
+  beforeEach(() => {
+    calls = [];
+    service = new PresearchService();
+    cache.clear();
+    apiClient.get = async (url, config) => {
+      calls.push(config);
+      const number = calls.length;
+      await wait(20);
+      if (config.signal?.aborted) throw Object.assign(new Error('canceled'), { name: 'CanceledError' });
+      return { data: { results: [{ title: `Answer ${number}`, url: `https://answer.example/${number}`, description: 'An answer' }] } };
+    };
+  });
+
+  afterEach(() => {
+    apiClient.get = originalGet;
+    cache.timeout = timeout;
+    cache.staleWindow = staleWindow;
+    cache.clear();
+  });
+
+  it('shares one upstream request between concurrent identical searches', async () => {
+    const [first, second] = await Promise.all([service.search('coalesced'), service.search('coalesced')]);
+
+    assert.equal(calls.length, 1);
+    assert.equal(first.results[0].url, second.results[0].url);
+    assert.equal(service.inFlight.size, 0);
+  });
+
+  it('aborts the shared request only when every caller cancelled', async () => {
+    const leaving = new AbortController();
+    const staying = new AbortController();
+    const left = service.search('shared', { signal: leaving.signal });
+    const stayed = service.search('shared', { signal: staying.signal });
+    leaving.abort();
+
+    await assert.rejects(left);
+    assert.equal((await stayed).results.length, 1);
+    assert.equal(calls[0].signal.aborted, false);
+
+    const alone = new AbortController();
+    const search = service.search('abandoned', { signal: alone.signal });
+    alone.abort();
+    await assert.rejects(search);
+    assert.equal(calls[1].signal.aborted, true);
+  });
+
+  it('serves a stale entry at once and refreshes it in the background', async () => {
+    cache.timeout = 10;
+    cache.staleWindow = 60000;
+    await service.search('stale');
+    await wait(20);
+
+    const stale = await service.search('stale');
+    assert.equal(stale.metadata.cacheStale, true);
+    assert.equal(stale.results[0].url, 'https://answer.example/1');
+    assert.equal(calls.length, 2, 'refresh should start right away');
+
+    cache.timeout = 60000; // The refreshed entry stays fresh
+    await wait(40);
+    const refreshed = await service.search('stale');
+    assert.equal(refreshed.metadata.cacheHit, true);
+    assert.equal(refreshed.metadata.cacheStale, undefined);
+    assert.equal(refreshed.results[0].url, 'https://answer.example/2');
+    assert.equal(calls.length, 2);
+  });
+});